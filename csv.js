@@ -0,0 +1,88 @@
+// Lecture et écriture CSV (RFC 4180) : champs entre guillemets, guillemets
+// doublés, retours à la ligne dans les champs, séparateur "," ou ";".
+
+// Séparateur le plus probable d'après la première ligne
+function detecterSeparateur(texte) {
+  const premiereLigne = texte.split(/\r?\n/, 1)[0];
+  const virgules = (premiereLigne.match(/,/g) || []).length;
+  const pointsVirgules = (premiereLigne.match(/;/g) || []).length;
+  return pointsVirgules > virgules ? ";" : ",";
+}
+
+// Découpe un texte CSV en lignes de cellules
+export function lireLignesCsv(texte, separateur = detecterSeparateur(texte)) {
+  const lignes = [];
+  let ligne = [];
+  let cellule = "";
+  let entreGuillemets = false;
+
+  // BOM éventuel des exports Excel
+  const source = texte.charCodeAt(0) === 0xfeff ? texte.slice(1) : texte;
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+
+    if (entreGuillemets) {
+      if (c === '"' && source[i + 1] === '"') {
+        cellule += '"';
+        i++;
+      } else if (c === '"') {
+        entreGuillemets = false;
+      } else {
+        cellule += c;
+      }
+    } else if (c === '"') {
+      entreGuillemets = true;
+    } else if (c === separateur) {
+      ligne.push(cellule);
+      cellule = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && source[i + 1] === "\n") i++;
+      ligne.push(cellule);
+      lignes.push(ligne);
+      ligne = [];
+      cellule = "";
+    } else {
+      cellule += c;
+    }
+  }
+
+  if (cellule !== "" || ligne.length > 0) {
+    ligne.push(cellule);
+    lignes.push(ligne);
+  }
+
+  // Lignes vides ignorées
+  return lignes.filter(l => l.some(valeur => valeur.trim() !== ""));
+}
+
+// Lit un CSV avec ligne d'en-tête en liste d'objets { colonne: valeur }
+export function lireCsv(texte) {
+  const [entetes = [], ...lignes] = lireLignesCsv(texte);
+  const colonnes = entetes.map(e => e.trim());
+
+  return lignes.map(cellules => {
+    const objet = {};
+    colonnes.forEach((colonne, i) => {
+      objet[colonne] = cellules[i] !== undefined ? cellules[i].trim() : "";
+    });
+    return objet;
+  });
+}
+
+// Formate une valeur pour une cellule CSV (dates ISO, guillemets si nécessaire)
+function formaterCellule(valeur) {
+  if (valeur === null || valeur === undefined) return "";
+  let texte = valeur instanceof Date ? valeur.toISOString() : String(valeur);
+  // Un texte commençant par = + - @ (ou tabulation / retour) serait exécuté comme
+  // formule par un tableur : l'apostrophe le force en texte. Les nombres restent tels quels.
+  if (typeof valeur === "string" && /^[=+\-@\t\r]/.test(texte)) {
+    texte = `'${texte}`;
+  }
+  return /[",;\r\n]/.test(texte) ? `"${texte.replace(/"/g, '""')}"` : texte;
+}
+
+// Une ligne CSV (terminée par CRLF) à partir d'une liste de valeurs
+export function ligneCsv(valeurs) {
+  return valeurs.map(formaterCellule).join(",") + "\r\n";
+}
@@ -64,11 +64,8 @@ async function ensureCollectionsExist() {
       await insertSampleDocuments();
     }
 
-    // Collection users
-    if (!collectionNames.includes("users")) {
-      await db.createCollection("users");
-      console.log("👥 Collection 'users' créée");
-    }
+    // Les comptes sont dans "utilisateurs" (gérée par server.js) :
+    // l'ancienne collection "users" est fusionnée par la migration 002
 
   } catch (error) {
     console.error("❌ Erreur lors de l'initialisation des collections:", error.message);
@@ -85,9 +82,8 @@ async function insertSampleDocuments() {
       auteur: "Antoine de Saint-Exupéry",
       type_de_document: "Livre",
       annee: 1943,
-      disponible: true,
       reservations: 245,
-      status: "disponible",
+      FIELD9: "disponible",
       emprunte_par: null,
       date_emprunt: null
     },
@@ -96,9 +92,8 @@ async function insertSampleDocuments() {
       auteur: "George Orwell",
       type_de_document: "Livre",
       annee: 1949,
-      disponible: false,
       reservations: 189,
-      status: "emprunté",
+      FIELD9: "emprunté",
       emprunte_par: "étudiant001",
       date_emprunt: new Date("2024-01-20")
     },
@@ -107,9 +102,8 @@ async function insertSampleDocuments() {
       auteur: "J.K. Rowling",
       type_de_document: "Livre",
       annee: 1997,
-      disponible: true,
       reservations: 312,
-      status: "disponible",
+      FIELD9: "disponible",
       emprunte_par: null,
       date_emprunt: null
     },
@@ -118,9 +112,8 @@ async function insertSampleDocuments() {
       auteur: "NoSQL Expert",
       type_de_document: "Livre technique",
       annee: 2023,
-      disponible: true,
       reservations: 78,
-      status: "disponible",
+      FIELD9: "disponible",
       emprunte_par: null,
       date_emprunt: null
     },
@@ -129,9 +122,8 @@ async function insertSampleDocuments() {
       auteur: "Développeur JS",
       type_de_document: "Livre",
       annee: 2022,
-      disponible: false,
       reservations: 92,
-      status: "emprunté",
+      FIELD9: "emprunté",
       emprunte_par: "étudiant002",
       date_emprunt: new Date("2024-01-25")
     }
@@ -0,0 +1,75 @@
+import { EventEmitter } from "events";
+
+// Diffusion en direct des événements de circulation.
+//
+// Les événements proviennent du flux de changements MongoDB (change stream) :
+// chaque instance du serveur observe la base et relaie à ses propres clients
+// ce qui a changé, quelle que soit l'instance qui a fait l'écriture.
+
+const DELAI_REPRISE_MS = 5000;
+// Erreurs qu'une réouverture ne corrigera pas : serveur sans change streams
+// (MongoDB autonome, hors replica set) ou droits insuffisants
+const ERREURS_DEFINITIVES = [40573, 13];
+
+const emetteur = new EventEmitter();
+// Un écouteur par client connecté
+emetteur.setMaxListeners(0);
+
+let flux = null;
+let jetonReprise = null;
+let demarre = false;
+
+// Abonne un écouteur aux événements ; renvoie la fonction de désabonnement
+export function abonner(ecouteur) {
+  emetteur.on("evenement", ecouteur);
+  return () => emetteur.off("evenement", ecouteur);
+}
+
+// Ouvre le flux de changements de la base (une seule fois : les appels suivants sont ignorés).
+// convertir(changement) renvoie l'événement à diffuser, ou null pour l'ignorer.
+// Le pilote reprend seul après une coupure passagère ; sur une autre erreur
+// le flux est rouvert après un délai, depuis le dernier changement reçu si possible.
+// Si le serveur ne permet pas les change streams, la diffusion reste désactivée.
+export function demarrerFluxChangements(db, pipeline, convertir) {
+  if (demarre) return;
+  demarre = true;
+  ouvrirFlux(db, pipeline, convertir);
+}
+
+function ouvrirFlux(db, pipeline, convertir) {
+  const options = { fullDocument: "updateLookup" };
+  if (jetonReprise) options.resumeAfter = jetonReprise;
+
+  flux = db.watch(pipeline, options);
+
+  flux.on("change", changement => {
+    jetonReprise = changement._id;
+    try {
+      const evenement = convertir(changement);
+      if (evenement) emetteur.emit("evenement", evenement);
+    } catch (error) {
+      console.error("❌ Événement de circulation:", error.message);
+    }
+  });
+
+  flux.on("error", error => {
+    flux.close().catch(() => {});
+    flux = null;
+    if (ERREURS_DEFINITIVES.includes(error.code)) {
+      console.warn("⚠️  Diffusion en direct désactivée (change streams indisponibles):", error.message);
+      return;
+    }
+    console.error("❌ Flux de changements:", error.message);
+    // Historique trop ancien pour reprendre : on repart du moment présent
+    if (error.code === 286 || error.code === 280) jetonReprise = null;
+    setTimeout(() => {
+      if (demarre) ouvrirFlux(db, pipeline, convertir);
+    }, DELAI_REPRISE_MS).unref();
+  });
+}
+
+export async function arreterFluxChangements() {
+  demarre = false;
+  if (flux) await flux.close();
+  flux = null;
+}
@@ -0,0 +1,56 @@
+// ISBN-10 / ISBN-13 : validation de la clé de contrôle et conversion.
+// Les ISBN sont stockés sans tirets ni espaces ; l'ISBN-13 fait référence.
+
+// Retire tirets, espaces et qualificatifs ("2070612759 (broché)" -> "2070612759")
+export function nettoyerIsbn(valeur) {
+  if (valeur === null || valeur === undefined) return "";
+  const texte = String(valeur).toUpperCase().replace(/^ISBN(-1[03])?:?\s*/, "");
+  const brut = texte.match(/^[\d\s-]*[\dX]/);
+  return brut ? brut[0].replace(/[\s-]/g, "") : "";
+}
+
+function cleIsbn10(neufChiffres) {
+  const somme = [...neufChiffres].reduce((total, c, i) => total + Number(c) * (10 - i), 0);
+  const cle = (11 - (somme % 11)) % 11;
+  return cle === 10 ? "X" : String(cle);
+}
+
+function cleIsbn13(douzeChiffres) {
+  const somme = [...douzeChiffres].reduce((total, c, i) => total + Number(c) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (somme % 10)) % 10);
+}
+
+export function estIsbn10(isbn) {
+  return /^\d{9}[\dX]$/.test(isbn) && cleIsbn10(isbn.slice(0, 9)) === isbn[9];
+}
+
+export function estIsbn13(isbn) {
+  return /^97[89]\d{10}$/.test(isbn) && cleIsbn13(isbn.slice(0, 12)) === isbn[12];
+}
+
+// ISBN-10 -> ISBN-13 (préfixe 978)
+export function isbn10Vers13(isbn10) {
+  const base = "978" + isbn10.slice(0, 9);
+  return base + cleIsbn13(base);
+}
+
+// ISBN-13 -> ISBN-10, null pour le préfixe 979 qui n'a pas d'équivalent
+export function isbn13Vers10(isbn13) {
+  if (!isbn13.startsWith("978")) return null;
+  const base = isbn13.slice(3, 12);
+  return base + cleIsbn10(base);
+}
+
+// Analyse un ISBN dans l'un ou l'autre format.
+// Renvoie { isbn_13, isbn_10 } (isbn_10 null si non convertible) ou null si invalide.
+export function analyserIsbn(valeur) {
+  const isbn = nettoyerIsbn(valeur);
+
+  if (estIsbn13(isbn)) {
+    return { isbn_13: isbn, isbn_10: isbn13Vers10(isbn) };
+  }
+  if (estIsbn10(isbn)) {
+    return { isbn_13: isbn10Vers13(isbn), isbn_10: isbn };
+  }
+  return null;
+}
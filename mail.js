@@ -0,0 +1,71 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+const EXPEDITEUR = process.env.MAIL_FROM || "Médiathèque UEL 315 <no-reply@mediatheque.fr>";
+
+let transport = null;
+
+// Transport SMTP (configuré par les variables SMTP_*)
+function transportSmtp() {
+  const smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    nom: "smtp",
+    async envoyer(message) {
+      const info = await smtp.sendMail({
+        from: EXPEDITEUR,
+        to: message.a,
+        subject: message.sujet,
+        text: message.texte
+      });
+      return { id: info.messageId };
+    }
+  };
+}
+
+// Transport local : chaque message est écrit dans un fichier JSON du
+// dossier "outbox" (développement et tests, aucun envoi réel)
+function transportFichier() {
+  const dossier = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox");
+
+  return {
+    nom: "fichier",
+    async envoyer(message) {
+      await fs.mkdir(dossier, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const contenu = {
+        id,
+        date: new Date().toISOString(),
+        de: EXPEDITEUR,
+        a: message.a,
+        sujet: message.sujet,
+        texte: message.texte
+      };
+      await fs.writeFile(path.join(dossier, `${id}.json`), JSON.stringify(contenu, null, 2));
+      return { id };
+    }
+  };
+}
+
+// Transport choisi par MAIL_TRANSPORT ("smtp" ou "fichier", par défaut)
+export function getTransportMail() {
+  if (!transport) {
+    transport = process.env.MAIL_TRANSPORT === "smtp" ? transportSmtp() : transportFichier();
+    console.log(`✉️  Transport mail: ${transport.nom}`);
+  }
+  return transport;
+}
+
+// Envoie un message { a, sujet, texte } via le transport configuré
+export async function envoyerMail(message) {
+  return getTransportMail().envoyer(message);
+}
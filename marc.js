@@ -0,0 +1,322 @@
+import { analyserIsbn } from "./isbn.js";
+
+// Lecture de notices MARC21 ou UNIMARC, au format binaire ISO 2709 ou MARCXML,
+// et conversion vers les champs d'un document du catalogue.
+//
+// Une notice lue a la forme { leader, champs, position } (position = rang dans
+// le fichier, à partir de 1) où chaque champ vaut
+// { tag, valeur } (champs de contrôle 00X) ou { tag, ind1, ind2, sous_champs: [{ code, valeur }] }.
+
+const FIN_NOTICE = 0x1d;
+const FIN_CHAMP = 0x1e;
+const DEBUT_SOUS_CHAMP = 0x1f;
+
+// Vrai si le contenu ressemble à du XML (MARCXML) plutôt qu'à de l'ISO 2709
+export function estMarcXml(buffer) {
+  return /^\s*</.test(buffer.subarray(0, 200).toString("utf8").replace(/^\uFEFF/, ""));
+}
+
+// Découpe un fichier ISO 2709 en notices.
+// Les longueurs et positions du répertoire sont des nombres d'octets : on
+// travaille sur le Buffer et on ne décode qu'au niveau des champs.
+export function lireMarcBinaire(buffer) {
+  const notices = [];
+  const erreurs = [];
+  let debut = 0;
+  let numero = 0;
+
+  while (debut < buffer.length) {
+    let fin = buffer.indexOf(FIN_NOTICE, debut);
+    if (fin === -1) fin = buffer.length;
+    const octets = buffer.subarray(debut, fin);
+    debut = fin + 1;
+
+    // Sauts de ligne éventuels entre les notices
+    if (octets.toString("latin1").trim() === "") continue;
+    numero++;
+
+    try {
+      notices.push({ ...lireNoticeBinaire(octets), position: numero });
+    } catch (error) {
+      erreurs.push({ notice: numero, raison: error.message });
+    }
+  }
+  return { notices, erreurs };
+}
+
+function lireNoticeBinaire(octets) {
+  if (octets.length < 25) {
+    throw new Error("notice tronquée");
+  }
+  const leader = octets.subarray(0, 24).toString("latin1");
+  const adresseBase = parseInt(leader.slice(12, 17), 10);
+  if (!Number.isInteger(adresseBase) || adresseBase > octets.length) {
+    throw new Error("leader invalide (adresse de base)");
+  }
+
+  const finRepertoire = octets.indexOf(FIN_CHAMP, 24);
+  if (finRepertoire === -1 || finRepertoire > adresseBase) {
+    throw new Error("répertoire invalide");
+  }
+
+  const bruts = [];
+  for (let i = 24; i + 12 <= finRepertoire; i += 12) {
+    const entree = octets.subarray(i, i + 12).toString("latin1");
+    const tag = entree.slice(0, 3);
+    const longueur = parseInt(entree.slice(3, 7), 10);
+    const depart = parseInt(entree.slice(7, 12), 10);
+    if (!Number.isInteger(longueur) || !Number.isInteger(depart)) {
+      throw new Error(`entrée de répertoire invalide (${tag})`);
+    }
+
+    let donnees = octets.subarray(adresseBase + depart, adresseBase + depart + longueur);
+    if (donnees[donnees.length - 1] === FIN_CHAMP) {
+      donnees = donnees.subarray(0, donnees.length - 1);
+    }
+    bruts.push({ tag, donnees });
+  }
+
+  // MARC21 : position 9 du leader "a" = UTF-8. UNIMARC : positions 26-27 de 100$a "50" = UTF-8.
+  // Sinon MARC-8 / ISO 5426, décodés au mieux en latin1.
+  const donneesCodees = bruts.find(b => b.tag === "100");
+  const jeuUnimarc = donneesCodees
+    ? sousChamp(lireChamp("100", donneesCodees.donnees, "latin1"), "a").slice(26, 28)
+    : "";
+  const encodage = leader[9] === "a" || jeuUnimarc === "50" ? "utf8" : "latin1";
+
+  return { leader, champs: bruts.map(b => lireChamp(b.tag, b.donnees, encodage)) };
+}
+
+// Décode un champ : valeur brute (champs de contrôle 00X) ou indicateurs et sous-champs
+function lireChamp(tag, donnees, encodage) {
+  if (tag < "010") {
+    return { tag, valeur: donnees.toString(encodage) };
+  }
+
+  const sousChamps = [];
+  let position = donnees.indexOf(DEBUT_SOUS_CHAMP, 2);
+  while (position !== -1) {
+    const suivant = donnees.indexOf(DEBUT_SOUS_CHAMP, position + 1);
+    const morceau = donnees.subarray(position + 1, suivant === -1 ? donnees.length : suivant);
+    if (morceau.length > 0) {
+      sousChamps.push({
+        code: String.fromCharCode(morceau[0]),
+        valeur: morceau.subarray(1).toString(encodage)
+      });
+    }
+    position = suivant;
+  }
+
+  return {
+    tag,
+    ind1: String.fromCharCode(donnees[0] || 0x20),
+    ind2: String.fromCharCode(donnees[1] || 0x20),
+    sous_champs: sousChamps
+  };
+}
+
+function decoderEntites(texte) {
+  return texte
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function attribut(balise, nom) {
+  const trouve = balise.match(new RegExp(`\\b${nom}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return trouve ? decoderEntites(trouve[2] ?? trouve[3]) : "";
+}
+
+// Lit un fichier MARCXML (éléments record / leader / controlfield / datafield / subfield,
+// avec ou sans préfixe d'espace de noms)
+export function lireMarcXml(buffer) {
+  const xml = buffer.toString("utf8");
+  const notices = [];
+  const erreurs = [];
+  const p = "(?:[\\w-]+:)?";
+
+  const regexNotice = new RegExp(`<${p}record\\b[^>]*>([\\s\\S]*?)</${p}record>`, "g");
+  let numero = 0;
+
+  for (const [, contenu] of xml.matchAll(regexNotice)) {
+    numero++;
+    try {
+      const leader = contenu.match(new RegExp(`<${p}leader[^>]*>([\\s\\S]*?)</${p}leader>`));
+      const champs = [];
+
+      const regexChamp = new RegExp(
+        `<${p}(controlfield|datafield)\\b([^>]*)>([\\s\\S]*?)</${p}\\1>`, "g"
+      );
+      for (const [, type, attributs, interieur] of contenu.matchAll(regexChamp)) {
+        const tag = attribut(attributs, "tag");
+        if (type === "controlfield") {
+          champs.push({ tag, valeur: decoderEntites(interieur) });
+          continue;
+        }
+        const sousChamps = [];
+        const regexSousChamp = new RegExp(`<${p}subfield\\b([^>]*)>([\\s\\S]*?)</${p}subfield>`, "g");
+        for (const [, attributsSousChamp, valeur] of interieur.matchAll(regexSousChamp)) {
+          sousChamps.push({ code: attribut(attributsSousChamp, "code"), valeur: decoderEntites(valeur) });
+        }
+        champs.push({
+          tag,
+          ind1: attribut(attributs, "ind1") || " ",
+          ind2: attribut(attributs, "ind2") || " ",
+          sous_champs: sousChamps
+        });
+      }
+
+      if (champs.length === 0) {
+        throw new Error("notice sans champ");
+      }
+      notices.push({ leader: leader ? decoderEntites(leader[1]) : "", champs, position: numero });
+    } catch (error) {
+      erreurs.push({ notice: numero, raison: error.message });
+    }
+  }
+
+  if (numero === 0) {
+    erreurs.push({ notice: null, raison: "aucun élément <record> trouvé" });
+  }
+  return { notices, erreurs };
+}
+
+// Lit un fichier MARC quel que soit son format
+export function lireMarc(buffer) {
+  return estMarcXml(buffer) ? lireMarcXml(buffer) : lireMarcBinaire(buffer);
+}
+
+// Ponctuation ISBD finale (" /", " :", ";", ",", ".")
+function nettoyer(texte) {
+  return texte.replace(/\s*[/:;,=.]+\s*$/, "").replace(/\s+/g, " ").trim();
+}
+
+function sousChamp(champ, code) {
+  const trouve = champ && champ.sous_champs && champ.sous_champs.find(s => s.code === code);
+  return trouve ? trouve.valeur : "";
+}
+
+// Position 6 du leader (type de notice) et 7 (niveau bibliographique)
+const TYPES_NOTICE = {
+  a: "Livre", t: "Livre", c: "Partition", d: "Partition", e: "Carte", f: "Carte",
+  g: "Vidéo", i: "Livre audio", j: "Musique", k: "Image", m: "Logiciel", o: "Kit", r: "Objet"
+};
+
+// Mêmes positions en UNIMARC (l = ressource électronique, m = multimédia)
+const TYPES_NOTICE_UNIMARC = {
+  a: "Livre", b: "Livre", c: "Partition", d: "Partition", e: "Carte", f: "Carte",
+  g: "Vidéo", i: "Livre audio", j: "Musique", k: "Image", l: "Logiciel", m: "Kit", r: "Objet"
+};
+
+export const FORMATS_MARC = ["marc21", "unimarc"];
+
+// Format d'une notice : le titre est en 200 en UNIMARC, en 245 en MARC21
+// (le leader ne permet pas de les distinguer)
+export function detecterFormat(notice) {
+  const tags = new Set(notice.champs.map(c => c.tag));
+  return tags.has("200") && !tags.has("245") ? "unimarc" : "marc21";
+}
+
+// Convertit une notice en champs de document, selon son format (détecté par défaut).
+// Renvoie { valeurs, numero } où valeurs contient titre, auteur, annee,
+// type_de_document, isbn (premier ISBN valide) et sujets.
+export function noticeVersDocument(notice, format = detecterFormat(notice)) {
+  return format === "unimarc" ? noticeUnimarc(notice) : noticeMarc21(notice);
+}
+
+// Sujets : vedettes des champs donnés, subdivisions $x $y $z jointes par " -- "
+function vedettes(champs, tags) {
+  return [...new Set(
+    tags
+      .flatMap(champs)
+      .map(c => nettoyer(c.sous_champs
+        .filter(s => ["a", "x", "y", "z"].includes(s.code))
+        .map(s => nettoyer(s.valeur))
+        .join(" -- ")))
+      .filter(Boolean)
+  )];
+}
+
+function noticeMarc21(notice) {
+  const champs = tag => notice.champs.filter(c => c.tag === tag);
+  const premier = tag => champs(tag)[0];
+
+  const titre = premier("245")
+    ? [sousChamp(premier("245"), "a"), sousChamp(premier("245"), "b")].map(nettoyer).filter(Boolean).join(" : ")
+    : "";
+
+  const champAuteur = premier("100") || premier("110") || premier("111") || premier("700") || premier("710");
+  const auteur = champAuteur ? nettoyer(sousChamp(champAuteur, "a")) : "";
+
+  // Année : 264$c ou 260$c, sinon positions 7-10 du champ 008
+  const datePublication = sousChamp(premier("264"), "c") || sousChamp(premier("260"), "c");
+  const anneeTexte = (datePublication.match(/\d{4}/) || [])[0]
+    || ((premier("008") && premier("008").valeur.slice(7, 11).match(/^\d{4}$/)) || [])[0];
+
+  const isbn = champs("020")
+    .map(c => analyserIsbn(sousChamp(c, "a")))
+    .find(Boolean) || null;
+
+  const sujets = vedettes(champs, ["600", "610", "611", "630", "650", "651", "655"]);
+
+  const leader = notice.leader || "";
+  const type = leader[7] === "s" ? "Revue" : TYPES_NOTICE[leader[6]] || "Livre";
+
+  return {
+    numero: premier("001") ? premier("001").valeur.trim() : null,
+    valeurs: {
+      titre,
+      auteur,
+      annee: anneeTexte ? parseInt(anneeTexte, 10) : undefined,
+      type_de_document: type,
+      isbn,
+      sujets
+    }
+  };
+}
+
+// UNIMARC : titre 200$a ($e complément), auteur 700/701 ($a nom, $b prénom) ou
+// collectivité 710/711, ISBN 010$a, date 210$d ou 214$d (sinon 100$a positions 9-12)
+function noticeUnimarc(notice) {
+  const champs = tag => notice.champs.filter(c => c.tag === tag);
+  const premier = tag => champs(tag)[0];
+
+  const titre = premier("200")
+    ? [sousChamp(premier("200"), "a"), sousChamp(premier("200"), "e")].map(nettoyer).filter(Boolean).join(" : ")
+    : "";
+
+  const personne = premier("700") || premier("701");
+  const collectivite = premier("710") || premier("711");
+  const auteur = personne
+    ? [sousChamp(personne, "a"), sousChamp(personne, "b")].map(nettoyer).filter(Boolean).join(", ")
+    : collectivite ? nettoyer(sousChamp(collectivite, "a")) : "";
+
+  const datePublication = sousChamp(premier("210"), "d") || sousChamp(premier("214"), "d");
+  const anneeTexte = (datePublication.match(/\d{4}/) || [])[0]
+    || (sousChamp(premier("100"), "a").slice(9, 13).match(/^\d{4}$/) || [])[0];
+
+  const isbn = champs("010")
+    .map(c => analyserIsbn(sousChamp(c, "a")))
+    .find(Boolean) || null;
+
+  const sujets = vedettes(champs, ["600", "601", "602", "604", "605", "606", "607", "608"]);
+
+  const leader = notice.leader || "";
+  const type = leader[7] === "s" ? "Revue" : TYPES_NOTICE_UNIMARC[leader[6]] || "Livre";
+
+  return {
+    numero: premier("001") ? premier("001").valeur.trim() : null,
+    valeurs: {
+      titre,
+      auteur,
+      annee: anneeTexte ? parseInt(anneeTexte, 10) : undefined,
+      type_de_document: type,
+      isbn,
+      sujets
+    }
+  };
+}
@@ -0,0 +1,192 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { MongoClient } from "mongodb";
+import dotenv from "dotenv";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DOSSIER_MIGRATIONS = path.join(__dirname, "migrations");
+const VERROU_DUREE_MS = 10 * 60 * 1000;
+const ATTENTE_VERROU_MS = 2000;
+
+// Charge les scripts du dossier migrations/, triés par version.
+// Chaque script exporte version, description, up(db, options) et down(db, options).
+export async function chargerMigrations() {
+  const fichiers = (await fs.readdir(DOSSIER_MIGRATIONS)).filter(f => f.endsWith(".js")).sort();
+  const migrations = [];
+
+  for (const fichier of fichiers) {
+    const module = await import(pathToFileURL(path.join(DOSSIER_MIGRATIONS, fichier)).href);
+    if (!Number.isInteger(module.version) || typeof module.up !== "function" || typeof module.down !== "function") {
+      throw new Error(`Migration invalide : ${fichier}`);
+    }
+    migrations.push({ ...module, fichier });
+  }
+
+  const versions = migrations.map(m => m.version);
+  if (new Set(versions).size !== versions.length) {
+    throw new Error("Deux migrations portent le même numéro de version");
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+// Verrou posé dans la collection migrations : une seule instance migre à la fois
+async function acquerirVerrou(db) {
+  const maintenant = new Date();
+  try {
+    await db.collection("migrations").updateOne(
+      { _id: "verrou", expire_le: { $lt: maintenant } },
+      { $set: { expire_le: new Date(maintenant.getTime() + VERROU_DUREE_MS), pris_le: maintenant } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Clé dupliquée : verrou existant et encore valide
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+async function libererVerrou(db) {
+  await db.collection("migrations").deleteOne({ _id: "verrou" });
+}
+
+// Versions déjà appliquées, de la plus ancienne à la plus récente
+export async function migrationsAppliquees(db) {
+  return db.collection("migrations")
+    .find({ version: { $exists: true } })
+    .sort({ version: 1 })
+    .toArray();
+}
+
+// État de chaque migration connue (appliquée ou en attente)
+export async function etatMigrations(db) {
+  const appliquees = new Map((await migrationsAppliquees(db)).map(m => [m.version, m]));
+  return (await chargerMigrations()).map(m => ({
+    version: m.version,
+    description: m.description,
+    appliquee: appliquees.has(m.version),
+    date_application: appliquees.has(m.version) ? appliquees.get(m.version).date_application : null
+  }));
+}
+
+// Avec attendre, une instance qui trouve le verrou pris attend que l'autre
+// ait fini (ou que son verrou expire) au lieu d'échouer
+async function avecVerrou(db, traitement, attendre = false) {
+  while (!(await acquerirVerrou(db))) {
+    if (!attendre) {
+      throw new Error("Migrations déjà en cours sur une autre instance");
+    }
+    await new Promise(resolve => setTimeout(resolve, ATTENTE_VERROU_MS));
+  }
+  try {
+    return await traitement();
+  } finally {
+    await libererVerrou(db);
+  }
+}
+
+// Applique les migrations en attente (jusqu'à options.jusqua si fourni).
+// En dry-run, rien n'est écrit : chaque script rapporte ce qu'il ferait.
+// options.attendreVerrou : attendre la fin des migrations d'une autre instance.
+export async function executerMigrations(db, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+
+  await db.collection("migrations").createIndex({ version: 1 }, { unique: true, sparse: true });
+
+  return avecVerrou(db, async () => {
+    const appliquees = new Set((await migrationsAppliquees(db)).map(m => m.version));
+    const enAttente = (await chargerMigrations())
+      .filter(m => !appliquees.has(m.version))
+      .filter(m => options.jusqua === undefined || m.version <= options.jusqua);
+
+    const resultats = [];
+    for (const migration of enAttente) {
+      const debut = Date.now();
+      const rapport = await migration.up(db, { dryRun });
+      const resultat = {
+        version: migration.version,
+        description: migration.description,
+        rapport,
+        duree_ms: Date.now() - debut
+      };
+
+      if (!dryRun) {
+        await db.collection("migrations").insertOne({ ...resultat, date_application: new Date() });
+      }
+      console.log(`${dryRun ? "🔎 [dry-run]" : "✅"} Migration ${migration.version} : ${migration.description}`, rapport);
+      resultats.push(resultat);
+    }
+    return resultats;
+  }, Boolean(options.attendreVerrou));
+}
+
+// Annule les migrations appliquées, de la plus récente à la plus ancienne,
+// jusqu'à la version options.jusqua (exclue). Par défaut : la dernière seulement.
+export async function annulerMigrations(db, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+
+  return avecVerrou(db, async () => {
+    const scripts = new Map((await chargerMigrations()).map(m => [m.version, m]));
+    const appliquees = (await migrationsAppliquees(db)).reverse();
+    const aAnnuler = options.jusqua === undefined
+      ? appliquees.slice(0, 1)
+      : appliquees.filter(m => m.version > options.jusqua);
+
+    const resultats = [];
+    for (const appliquee of aAnnuler) {
+      const migration = scripts.get(appliquee.version);
+      if (!migration) {
+        throw new Error(`Script introuvable pour la migration ${appliquee.version}`);
+      }
+
+      const rapport = await migration.down(db, { dryRun });
+      if (!dryRun) {
+        await db.collection("migrations").deleteOne({ version: appliquee.version });
+      }
+      console.log(`${dryRun ? "🔎 [dry-run]" : "↩️ "} Annulation ${migration.version} : ${migration.description}`, rapport);
+      resultats.push({ version: migration.version, description: migration.description, rapport });
+    }
+    return resultats;
+  });
+}
+
+// Ligne de commande :
+//   node migrations.js status
+//   node migrations.js up [--dry-run] [--to=N]
+//   node migrations.js down [--dry-run] [--to=N]
+async function main() {
+  const [commande = "status", ...args] = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const cible = args.find(a => a.startsWith("--to="));
+  const jusqua = cible ? parseInt(cible.slice(5)) : undefined;
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    const db = client.db("bibliothequedb");
+
+    if (commande === "up") {
+      await executerMigrations(db, { dryRun, jusqua });
+    } else if (commande === "down") {
+      await annulerMigrations(db, { dryRun, jusqua });
+    } else if (commande === "status") {
+      console.table(await etatMigrations(db));
+    } else {
+      throw new Error(`Commande inconnue : ${commande} (status, up ou down)`);
+    }
+  } catch (error) {
+    console.error("❌ Erreur:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+// Lancé en ligne de commande : .env n'a pas encore été chargé (server.js le fait pour lui)
+if (process.argv[1] === __filename) {
+  dotenv.config();
+  main();
+}
@@ -0,0 +1,81 @@
+// Normalise la disponibilité des documents sur un seul champ : FIELD9
+// ("disponible" | "emprunté" | "réservé"), celui qu'utilise server.js.
+//
+// Les données d'exemple de db.js utilisaient "status" et "disponible" :
+// ces deux champs sont convertis puis supprimés. En cas de contradiction,
+// FIELD9 l'emporte, puis "status", puis le booléen "disponible".
+
+export const version = 1;
+export const description = "Disponibilité des documents normalisée sur FIELD9";
+
+const STATUTS = ["disponible", "emprunté", "réservé"];
+
+// "Emprunte", "reserve", "DISPONIBLE"... vers la valeur canonique
+function normaliserStatut(valeur) {
+  if (typeof valeur !== "string") return null;
+  const simple = valeur.trim().toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  return STATUTS.find(statut => statut.normalize("NFD").replace(/[\u0300-\u036f]/g, "") === simple) || null;
+}
+
+function statutCanonique(document) {
+  return normaliserStatut(document.FIELD9)
+    || normaliserStatut(document.status)
+    || (typeof document.disponible === "boolean" ? (document.disponible ? "disponible" : "emprunté") : null)
+    || "disponible";
+}
+
+export async function up(db, { dryRun }) {
+  const curseur = db.collection("documents").find(
+    {},
+    { projection: { FIELD9: 1, status: 1, disponible: 1 } }
+  );
+
+  const rapport = { examines: 0, modifies: 0, contradictions: 0 };
+  let operations = [];
+
+  for await (const document of curseur) {
+    rapport.examines++;
+    const statut = statutCanonique(document);
+
+    const valeurs = [
+      normaliserStatut(document.FIELD9),
+      normaliserStatut(document.status),
+      typeof document.disponible === "boolean" ? (document.disponible ? "disponible" : "emprunté") : null
+    ].filter(Boolean);
+    if (new Set(valeurs).size > 1) rapport.contradictions++;
+
+    const aJour = document.FIELD9 === statut && document.status === undefined && document.disponible === undefined;
+    if (aJour) continue;
+
+    rapport.modifies++;
+    operations.push({
+      updateOne: {
+        filter: { _id: document._id },
+        update: { $set: { FIELD9: statut }, $unset: { status: "", disponible: "" } }
+      }
+    });
+
+    if (operations.length === 500) {
+      if (!dryRun) await db.collection("documents").bulkWrite(operations);
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0 && !dryRun) {
+    await db.collection("documents").bulkWrite(operations);
+  }
+  return rapport;
+}
+
+// Retour arrière : reconstitue "status" et "disponible" à partir de FIELD9
+export async function down(db, { dryRun }) {
+  const filtre = { FIELD9: { $in: STATUTS } };
+  const rapport = { modifies: await db.collection("documents").countDocuments(filtre) };
+
+  if (!dryRun) {
+    await db.collection("documents").updateMany(filtre, [
+      { $set: { status: "$FIELD9", disponible: { $eq: ["$FIELD9", "disponible"] } } }
+    ]);
+  }
+  return rapport;
+}
@@ -0,0 +1,75 @@
+// Fusionne la collection "users" (créée par db.js) dans "utilisateurs"
+// (utilisée par server.js).
+//
+// Un compte dont l'email existe déjà dans "utilisateurs" n'est pas recopié.
+// Les comptes recopiés portent migre_depuis: "users" et doivent choisir un
+// nouveau mot de passe. La collection d'origine est renommée "users_migres"
+// plutôt que supprimée, pour permettre le retour arrière.
+
+export const version = 2;
+export const description = "Fusion de la collection users dans utilisateurs";
+
+const SOURCE = "users";
+const ARCHIVE = "users_migres";
+
+async function collectionExiste(db, nom) {
+  return (await db.listCollections({ name: nom }, { nameOnly: true }).toArray()).length > 0;
+}
+
+export async function up(db, { dryRun }) {
+  const rapport = { examines: 0, copies: 0, doublons: 0, ignores: [] };
+
+  if (!(await collectionExiste(db, SOURCE))) {
+    return rapport;
+  }
+
+  for await (const ancien of db.collection(SOURCE).find({})) {
+    rapport.examines++;
+    const email = typeof ancien.email === "string" ? ancien.email.trim() : "";
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      rapport.ignores.push({ _id: ancien._id, raison: "email manquant ou invalide" });
+      continue;
+    }
+    if (await db.collection("utilisateurs").findOne({ email })) {
+      rapport.doublons++;
+      continue;
+    }
+
+    rapport.copies++;
+    if (dryRun) continue;
+
+    await db.collection("utilisateurs").insertOne({
+      _id: ancien._id,
+      nom: ancien.nom || ancien.name || ancien.username || email,
+      email,
+      // Hash d'origine inconnu : le compte devra passer par "mot de passe oublié"
+      password: typeof ancien.password === "string" && ancien.password ? ancien.password : "!",
+      role: ancien.role === "admin" ? "admin" : "user",
+      categorie: "standard",
+      limite_emprunts: 3,
+      emprunts_actuels: 0,
+      date_creation: ancien.date_creation || ancien.createdAt || new Date(),
+      mot_de_passe_a_changer: true,
+      migre_depuis: SOURCE
+    });
+  }
+
+  if (!dryRun) {
+    await db.collection(SOURCE).rename(ARCHIVE, { dropTarget: true });
+  }
+  return rapport;
+}
+
+export async function down(db, { dryRun }) {
+  const filtre = { migre_depuis: SOURCE };
+  const rapport = { supprimes: await db.collection("utilisateurs").countDocuments(filtre) };
+
+  if (!dryRun) {
+    await db.collection("utilisateurs").deleteMany(filtre);
+    if (await collectionExiste(db, ARCHIVE)) {
+      await db.collection(ARCHIVE).rename(SOURCE, { dropTarget: true });
+    }
+  }
+  return rapport;
+}
@@ -0,0 +1,119 @@
+// Crée la collection "exemplaires" : jusqu'ici un document du catalogue
+// valait exactement un exemplaire empruntable.
+//
+// Chaque document sans exemplaire en reçoit un, dans l'état de circulation
+// du document (FIELD9, emprunte_par, date_emprunt, lecteur à qui il est mis
+// de côté). Les emprunts en cours sont rattachés à cet exemplaire, et les
+// champs emprunte_par / date_emprunt quittent le document.
+
+export const version = 3;
+export const description = "Exemplaires physiques des documents (code-barres, cote, état, statut)";
+
+const PREFIXE_CODE_BARRES = process.env.CODE_BARRES_PREFIXE || "EX";
+
+// Réserve une plage de codes-barres sur le compteur partagé avec server.js
+async function reserverCodesBarres(db, nombre) {
+  const compteur = await db.collection("compteurs").findOneAndUpdate(
+    { _id: "code_barres" },
+    { $inc: { valeur: nombre } },
+    { upsert: true, returnDocument: "after" }
+  );
+  const premier = compteur.valeur - nombre + 1;
+  return Array.from({ length: nombre }, (_, i) => PREFIXE_CODE_BARRES + String(premier + i).padStart(8, "0"));
+}
+
+export async function up(db, { dryRun }) {
+  const documents = await db.collection("documents").aggregate([
+    { $lookup: { from: "exemplaires", localField: "_id", foreignField: "document_id", as: "exemplaires" } },
+    { $match: { exemplaires: { $size: 0 } } },
+    { $project: { FIELD9: 1, emprunte_par: 1, date_emprunt: 1, file_attente: 1 } }
+  ]).toArray();
+
+  const rapport = { documents: documents.length, exemplaires_crees: 0, emprunts_rattaches: 0 };
+  if (dryRun || documents.length === 0) {
+    rapport.exemplaires_crees = documents.length;
+    rapport.emprunts_rattaches = await db.collection("emprunts").countDocuments({
+      statut: "emprunté",
+      exemplaire_id: { $exists: false }
+    });
+    return rapport;
+  }
+
+  const codes = await reserverCodesBarres(db, documents.length);
+  const maintenant = new Date();
+
+  for (const [i, document] of documents.entries()) {
+    const premier = (document.file_attente || [])[0];
+    const misDeCote = document.FIELD9 === "réservé" && premier && premier.statut === "prête";
+    const statut = document.FIELD9 === "emprunté" ? "emprunté" : misDeCote ? "réservé" : "disponible";
+
+    const exemplaire = {
+      document_id: document._id,
+      code_barres: codes[i],
+      cote: null,
+      etat: "bon",
+      statut,
+      emprunte_par: statut === "emprunté" ? document.emprunte_par || null : null,
+      date_emprunt: statut === "emprunté" ? document.date_emprunt || null : null,
+      reserve_pour: misDeCote ? premier.utilisateur_id : null,
+      date_ajout: maintenant
+    };
+    const { insertedId } = await db.collection("exemplaires").insertOne(exemplaire);
+    rapport.exemplaires_crees++;
+
+    const rattaches = await db.collection("emprunts").updateMany(
+      { document_id: document._id, statut: "emprunté", exemplaire_id: { $exists: false } },
+      { $set: { exemplaire_id: insertedId, code_barres: exemplaire.code_barres } }
+    );
+    rapport.emprunts_rattaches += rattaches.modifiedCount;
+
+    const disponibles = statut === "disponible" ? 1 : 0;
+    await db.collection("documents").updateOne(
+      { _id: document._id },
+      {
+        $set: { exemplaires_total: 1, exemplaires_disponibles: disponibles },
+        $unset: { emprunte_par: "", date_emprunt: "" }
+      }
+    );
+  }
+
+  return rapport;
+}
+
+// Retour arrière : n'a de sens que si chaque document a au plus un exemplaire.
+// L'état de cet exemplaire est recopié sur le document, puis la collection est supprimée.
+export async function down(db, { dryRun }) {
+  const multiples = await db.collection("exemplaires").aggregate([
+    { $group: { _id: "$document_id", total: { $sum: 1 } } },
+    { $match: { total: { $gt: 1 } } },
+    { $count: "documents" }
+  ]).toArray();
+  if (multiples.length > 0) {
+    throw new Error(`${multiples[0].documents} document(s) ont plusieurs exemplaires : annulation impossible`);
+  }
+
+  const exemplaires = await db.collection("exemplaires").find({}).toArray();
+  const rapport = { documents: exemplaires.length };
+  if (dryRun) return rapport;
+
+  for (const exemplaire of exemplaires) {
+    await db.collection("documents").updateOne(
+      { _id: exemplaire.document_id },
+      {
+        $set: {
+          FIELD9: exemplaire.statut === "retiré" ? "emprunté" : exemplaire.statut,
+          emprunte_par: exemplaire.emprunte_par || null,
+          date_emprunt: exemplaire.date_emprunt || null
+        },
+        $unset: { exemplaires_total: "", exemplaires_disponibles: "" }
+      }
+    );
+  }
+  await db.collection("emprunts").updateMany(
+    { exemplaire_id: { $exists: true } },
+    { $unset: { exemplaire_id: "", code_barres: "" } }
+  );
+  await db.collection("exemplaires").drop().catch(() => {});
+  await db.collection("compteurs").deleteOne({ _id: "code_barres" });
+  return rapport;
+}
@@ -0,0 +1,33 @@
+// Les emails servent d'identifiant de connexion et sont désormais enregistrés
+// en minuscules : les comptes existants sont convertis. Un compte dont la forme
+// en minuscules est déjà prise par un autre compte est laissé tel quel et signalé.
+
+export const version = 4;
+export const description = "Emails des comptes en minuscules";
+
+export async function up(db, { dryRun }) {
+  const comptes = await db.collection("utilisateurs")
+    .find({ email: { $regex: "[A-Z]" } }, { projection: { email: 1 } })
+    .toArray();
+
+  const rapport = { comptes: comptes.length, convertis: 0, conflits: [] };
+
+  for (const compte of comptes) {
+    const email = compte.email.trim().toLowerCase();
+    const existant = await db.collection("utilisateurs").findOne({ email, _id: { $ne: compte._id } });
+    if (existant) {
+      rapport.conflits.push({ _id: compte._id, email: compte.email, avec: existant._id });
+      continue;
+    }
+    if (!dryRun) {
+      await db.collection("utilisateurs").updateOne({ _id: compte._id }, { $set: { email } });
+    }
+    rapport.convertis++;
+  }
+  return rapport;
+}
+
+// La casse d'origine n'est pas conservée : rien à défaire
+export async function down() {
+  return { comptes: 0 };
+}
@@ -0,0 +1,165 @@
+import os from "os";
+import crypto from "crypto";
+
+// Planificateur de tâches en processus.
+//
+// Chaque tâche a un document dans la collection "taches" :
+// { _id: nom, prochaine_execution, verrou_jusqu_au, instance, derniere_execution,
+//   derniere_duree_ms, dernier_resultat, derniere_erreur }
+// Plusieurs instances du serveur peuvent tourner : seule celle qui pose le
+// verrou (mise à jour atomique du document) exécute la tâche.
+
+const INTERVALLE_VERIFICATION_MS = 60 * 1000;
+const VERROU_DUREE_MS = 15 * 60 * 1000;
+
+// Identifiant de ce processus dans les verrous
+const INSTANCE = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+
+const taches = new Map();
+let minuterie = null;
+let baseDeDonnees = null;
+let demarre = false;
+
+// Prochaine occurrence de l'heure "HH:MM" (heure locale du serveur) après la date donnée
+export function prochaineOccurrence(heure, apres = new Date()) {
+  const [heures, minutes] = heure.split(":").map(Number);
+  const date = new Date(apres);
+  date.setHours(heures, minutes, 0, 0);
+  if (date <= apres) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+}
+
+// Déclare une tâche quotidienne : fn(db) est appelée chaque jour à l'heure "HH:MM".
+// Le résultat renvoyé par fn est conservé dans dernier_resultat.
+export function planifierTache(nom, { heure }, fn) {
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(heure)) {
+    throw new Error(`Heure invalide pour la tâche ${nom} : ${heure}`);
+  }
+  taches.set(nom, { nom, heure, fn });
+}
+
+// Pose le verrou de la tâche. Sans "forcer", seulement si elle est échue.
+// Renvoie vrai si cette instance a obtenu le verrou.
+async function prendreVerrou(db, nom, forcer) {
+  const maintenant = new Date();
+  const filtre = {
+    _id: nom,
+    $or: [{ verrou_jusqu_au: null }, { verrou_jusqu_au: { $lt: maintenant } }]
+  };
+  if (!forcer) {
+    filtre.prochaine_execution = { $lte: maintenant };
+  }
+  const tache = await db.collection("taches").findOneAndUpdate(
+    filtre,
+    { $set: { verrou_jusqu_au: new Date(maintenant.getTime() + VERROU_DUREE_MS), instance: INSTANCE } }
+  );
+  return tache !== null;
+}
+
+async function executer(db, tache, forcer = false) {
+  if (!(await prendreVerrou(db, tache.nom, forcer))) {
+    return null;
+  }
+
+  const debut = new Date();
+  const compteRendu = { derniere_execution: debut, dernier_resultat: null, derniere_erreur: null };
+  try {
+    compteRendu.dernier_resultat = (await tache.fn(db)) ?? null;
+    console.log(`⏰ Tâche ${tache.nom} exécutée`);
+  } catch (error) {
+    compteRendu.derniere_erreur = error.message;
+    console.error(`❌ Tâche ${tache.nom}:`, error.message);
+  }
+
+  await db.collection("taches").updateOne(
+    { _id: tache.nom, instance: INSTANCE },
+    {
+      $set: {
+        ...compteRendu,
+        derniere_duree_ms: Date.now() - debut.getTime(),
+        prochaine_execution: prochaineOccurrence(tache.heure),
+        verrou_jusqu_au: null
+      }
+    }
+  );
+  return compteRendu;
+}
+
+async function verifierTaches() {
+  for (const tache of taches.values()) {
+    try {
+      await executer(baseDeDonnees, tache);
+    } catch (error) {
+      console.error(`❌ Planificateur (${tache.nom}):`, error.message);
+    }
+  }
+}
+
+// Crée le document de la tâche s'il n'existe pas encore
+async function enregistrerTache(db, tache) {
+  await db.collection("taches").updateOne(
+    { _id: tache.nom },
+    { $setOnInsert: { prochaine_execution: prochaineOccurrence(tache.heure), verrou_jusqu_au: null } },
+    { upsert: true }
+  );
+  // L'heure a pu changer depuis le dernier démarrage
+  await db.collection("taches").updateOne(
+    { _id: tache.nom, heure: { $ne: tache.heure } },
+    { $set: { heure: tache.heure, prochaine_execution: prochaineOccurrence(tache.heure) } }
+  );
+}
+
+// Enregistre les tâches déclarées et lance la vérification périodique
+// (une seule fois : les appels suivants sont ignorés, sauf après un échec).
+// Une tâche dont l'heure est passée pendant un arrêt du serveur est rattrapée.
+export async function demarrerPlanificateur(db) {
+  if (demarre) return;
+  demarre = true;
+  baseDeDonnees = db;
+
+  try {
+    for (const tache of taches.values()) {
+      await enregistrerTache(db, tache);
+    }
+  } catch (error) {
+    demarre = false;
+    throw error;
+  }
+
+  minuterie = setInterval(verifierTaches, INTERVALLE_VERIFICATION_MS);
+  // Le planificateur ne doit pas empêcher l'arrêt du processus
+  minuterie.unref();
+  console.log(`⏰ Planificateur démarré (${[...taches.keys()].join(", ") || "aucune tâche"})`);
+}
+
+export function arreterPlanificateur() {
+  clearInterval(minuterie);
+  minuterie = null;
+  demarre = false;
+}
+
+export function tacheExiste(nom) {
+  return taches.has(nom);
+}
+
+// Exécute une tâche immédiatement (hors planning), si aucune autre instance ne l'exécute.
+// Renvoie le compte rendu, ou null si la tâche est déjà en cours.
+export async function executerTache(db, nom) {
+  const tache = taches.get(nom);
+  if (!tache) {
+    throw new Error(`Tâche inconnue : ${nom}`);
+  }
+  // Sans planificateur démarré (PLANIFICATEUR=false), le document n'existe pas encore
+  await enregistrerTache(db, tache);
+  return executer(db, tache, true);
+}
+
+// État des tâches déclarées (documents de la collection "taches")
+export async function etatTaches(db) {
+  return db.collection("taches")
+    .find({ _id: { $in: [...taches.keys()] } })
+    .sort({ _id: 1 })
+    .toArray();
+}
@@ -0,0 +1,43 @@
+// Jeton CSRF ajouté automatiquement aux requêtes qui modifient des données
+// (POST, PUT, PATCH, DELETE). Le jeton est demandé au serveur à la première
+// utilisation, puis redemandé une fois si le serveur le refuse (nouvelle session).
+(function () {
+    const fetchNatif = window.fetch.bind(window);
+    let jetonCsrf = null;
+
+    async function obtenirJeton() {
+        const response = await fetchNatif('/api/auth/csrf', { credentials: 'same-origin' });
+        const data = await response.json();
+        jetonCsrf = data.csrf;
+        return jetonCsrf;
+    }
+
+    function avecJeton(options, jeton) {
+        const headers = new Headers(options.headers || {});
+        headers.set('X-CSRF-Token', jeton);
+        return { ...options, headers };
+    }
+
+    window.fetch = async function (url, options = {}) {
+        const methode = (options.method || 'GET').toUpperCase();
+        if (['GET', 'HEAD', 'OPTIONS'].includes(methode)) {
+            return fetchNatif(url, options);
+        }
+
+        const response = await fetchNatif(url, avecJeton(options, jetonCsrf || await obtenirJeton()));
+        if (response.status !== 403) {
+            return response;
+        }
+
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.code !== 'CSRF') {
+            return response;
+        }
+        return fetchNatif(url, avecJeton(options, await obtenirJeton()));
+    };
+
+    // Après une connexion, la session change : le serveur fournit le nouveau jeton
+    window.definirJetonCsrf = function (jeton) {
+        jetonCsrf = jeton;
+    };
+})();
@@ -1,10 +1,30 @@
 import express from "express";
 import cors from "cors";
 import path from "path";
+import fs from "fs";
 import { fileURLToPath } from "url";
-import { MongoClient, ObjectId } from "mongodb";
+import { MongoClient, ObjectId, BSON } from "mongodb";
 import session from "express-session";
+import MongoStore from "connect-mongo";
+import crypto from "crypto";
+import { once } from "events";
 import "dotenv/config";
+import { envoyerMail, getTransportMail } from "./mail.js";
+import {
+  validerChamps,
+  estObjectId,
+  repondreInvalide,
+  verifierParamObjectId,
+  appliquerSchemas,
+  estErreurSchema,
+  detailsErreurSchema
+} from "./validation.js";
+import { executerMigrations } from "./migrations.js";
+import { planifierTache, demarrerPlanificateur, tacheExiste, executerTache, etatTaches } from "./planificateur.js";
+import { abonner, demarrerFluxChangements } from "./diffusion.js";
+import { lireCsv, ligneCsv } from "./csv.js";
+import { analyserIsbn } from "./isbn.js";
+import { lireMarc, noticeVersDocument, FORMATS_MARC } from "./marc.js";
 
 // Configuration ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -13,51 +33,256 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Secret de session : obligatoire en production. En développement, un secret aléatoire
+// est généré une fois puis conservé dans .session-secret (ignoré par git) pour que
+// les sessions survivent aux redémarrages.
+const FICHIER_SECRET_SESSION = path.join(__dirname, '.session-secret');
+const SECRETS_INTERDITS = ['uel315_secret', 'changeme', 'secret'];
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET || SECRETS_INTERDITS.includes(SESSION_SECRET) || SESSION_SECRET.length < 32) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error("❌ SESSION_SECRET absent ou trop faible (32 caractères minimum). Arrêt du serveur.");
+    process.exit(1);
+  }
+  if (fs.existsSync(FICHIER_SECRET_SESSION)) {
+    SESSION_SECRET = fs.readFileSync(FICHIER_SECRET_SESSION, 'utf8').trim();
+  } else {
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(FICHIER_SECRET_SESSION, SESSION_SECRET + '\n', { mode: 0o600 });
+    console.warn(`⚠️  SESSION_SECRET non défini : secret de développement généré dans ${FICHIER_SECRET_SESSION}`);
+  }
+}
+
+// Origines autorisées pour les requêtes cross-origin (liste séparée par des virgules)
+const ORIGINES_AUTORISEES = (process.env.CORS_ORIGINS || `http://localhost:${PORT}`)
+  .split(',')
+  .map(origine => origine.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+  origin: (origine, callback) => {
+    // Pas d'en-tête Origin : requête de même origine ou hors navigateur
+    callback(null, !origine || ORIGINES_AUTORISEES.includes(origine));
+  },
+  credentials: true
+}));
+// Les routes de téléversement ont leur propre parseur (taille limite plus élevée)
+const ROUTES_TELEVERSEMENT = ['/api/admin/documents/import'];
+const parserJson = express.json();
+app.use((req, res, next) => (
+  ROUTES_TELEVERSEMENT.includes(req.path) ? next() : parserJson(req, res, next)
+));
 app.use(express.static(path.join(__dirname, "public")));
 
-// Session middleware
+// Session middleware : sessions stockées dans MongoDB (collection "sessions")
+// pour survivre aux redémarrages et être partagées entre instances
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'uel315_secret',
+  secret: SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
+  store: MongoStore.create({
+    mongoUrl: process.env.MONGODB_URI,
+    dbName: "bibliothequedb",
+    collectionName: "sessions",
+    ttl: 24 * 60 * 60,
+    stringify: false
+  }),
   cookie: { 
     secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
     maxAge: 24 * 60 * 60 * 1000 // 24h
   }
 }));
 
-// Fonction de hash simple pour le projet (pas bcrypt pour éviter problèmes)
-function hashPassword(password) {
+// Protection CSRF : jeton par session, renvoyé dans l'en-tête X-CSRF-Token
+// par toute requête qui modifie des données. Les routes d'avant connexion
+// (sans session à détourner) en sont exemptées.
+const ROUTES_SANS_CSRF = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/mot-de-passe-oublie',
+  '/auth/reinitialiser'
+];
+
+function jetonCsrf(req) {
+  if (!req.session.csrf) {
+    req.session.csrf = crypto.randomBytes(32).toString('base64url');
+  }
+  return req.session.csrf;
+}
+
+function verifierCsrf(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || ROUTES_SANS_CSRF.includes(req.path)) {
+    return next();
+  }
+  
+  const recu = Buffer.from(String(req.get('X-CSRF-Token') || ''));
+  const attendu = Buffer.from(req.session.csrf || '');
+  if (attendu.length === 0 || recu.length !== attendu.length || !crypto.timingSafeEqual(recu, attendu)) {
+    return res.status(403).json({ 
+      success: false, 
+      error: 'Jeton CSRF invalide ou manquant',
+      code: 'CSRF'
+    });
+  }
+  next();
+}
+
+app.use('/api', verifierCsrf);
+
+// Après une réinitialisation par un admin, la session ne sert qu'à choisir
+// un nouveau mot de passe (ou à se déconnecter) tant que ce n'est pas fait
+const ROUTES_MOT_DE_PASSE_A_CHANGER = [
+  '/auth/login',
+  '/auth/logout',
+  '/auth/me',
+  '/auth/mot-de-passe',
+  '/auth/politique-mot-de-passe'
+];
+
+function verifierMotDePasseAChanger(req, res, next) {
+  if (!req.session.mot_de_passe_a_changer || ROUTES_MOT_DE_PASSE_A_CHANGER.includes(req.path)) {
+    return next();
+  }
+  res.status(403).json({ 
+    success: false, 
+    error: 'Choisissez un nouveau mot de passe pour continuer',
+    code: 'MOT_DE_PASSE_A_CHANGER'
+  });
+}
+
+app.use('/api', verifierMotDePasseAChanger);
+
+// Tout paramètre de route :id / :userId doit être un ObjectId (sinon 400)
+app.param(['id', 'userId', 'exemplaireId'], verifierParamObjectId);
+
+// Hachage des mots de passe : scrypt salé, stocké sous la forme
+// "scrypt$N$r$p$sel$hash" (le préfixe identifie l'algorithme)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_LONGUEUR = 64;
+
+function scryptAsync(password, sel, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, sel, SCRYPT_LONGUEUR, params, (err, cle) => {
+      if (err) reject(err);
+      else resolve(cle);
+    });
+  });
+}
+
+async function hashPassword(password) {
+  const sel = crypto.randomBytes(16);
+  const cle = await scryptAsync(password, sel, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${sel.toString('base64')}$${cle.toString('base64')}`;
+}
+
+// Ancien format (base64 du mot de passe + SESSION_SECRET), conservé pour la migration
+function hashLegacy(password) {
   return Buffer.from(password + process.env.SESSION_SECRET).toString('base64');
 }
 
-function comparePassword(password, hashed) {
-  return hashPassword(password) === hashed;
+function egaliteConstante(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Vérifie un mot de passe ; aMettreAJour signale un hash à régénérer (ancien format)
+async function comparePassword(password, hashed) {
+  if (typeof hashed !== 'string') {
+    return { valide: false, aMettreAJour: false };
+  }
+  
+  if (hashed.startsWith('scrypt$')) {
+    const [, N, r, p, sel, cle] = hashed.split('$');
+    const attendu = Buffer.from(cle, 'base64');
+    const calcule = await scryptAsync(password, Buffer.from(sel, 'base64'), {
+      N: parseInt(N), r: parseInt(r), p: parseInt(p)
+    });
+    return { valide: egaliteConstante(calcule, attendu), aMettreAJour: false };
+  }
+  
+  const valide = egaliteConstante(Buffer.from(hashLegacy(password)), Buffer.from(hashed));
+  return { valide, aMettreAJour: valide };
+}
+
+// Politique de mot de passe (configurable par variables d'environnement)
+const POLITIQUE_MOT_DE_PASSE = {
+  longueur_min: parseInt(process.env.MDP_LONGUEUR_MIN) || 8,
+  exiger_chiffre: process.env.MDP_EXIGER_CHIFFRE !== 'false',
+  exiger_majuscule: process.env.MDP_EXIGER_MAJUSCULE === 'true',
+  exiger_special: process.env.MDP_EXIGER_SPECIAL === 'true'
+};
+
+// Renvoie la liste des règles non respectées par le mot de passe
+function verifierMotDePasse(password, email) {
+  const erreurs = [];
+  const politique = POLITIQUE_MOT_DE_PASSE;
+  
+  if (typeof password !== 'string' || password.length < politique.longueur_min) {
+    erreurs.push(`Le mot de passe doit contenir au moins ${politique.longueur_min} caractères`);
+    return erreurs;
+  }
+  if (!/[a-zA-Z]/.test(password)) {
+    erreurs.push('Le mot de passe doit contenir au moins une lettre');
+  }
+  if (politique.exiger_chiffre && !/[0-9]/.test(password)) {
+    erreurs.push('Le mot de passe doit contenir au moins un chiffre');
+  }
+  if (politique.exiger_majuscule && !/[A-Z]/.test(password)) {
+    erreurs.push('Le mot de passe doit contenir au moins une majuscule');
+  }
+  if (politique.exiger_special && !/[^a-zA-Z0-9]/.test(password)) {
+    erreurs.push('Le mot de passe doit contenir au moins un caractère spécial');
+  }
+  if (email && password.toLowerCase() === email.toLowerCase()) {
+    erreurs.push("Le mot de passe ne doit pas être identique à l'email");
+  }
+  return erreurs;
 }
 
 // Variable pour stocker la connexion DB
 let db = null;
 let client = null;
 
-// Connexion à MongoDB
+// Connexion à MongoDB. La connexion n'est retenue (db) qu'une fois les migrations
+// passées : après un échec, le prochain appel retente depuis le début.
 async function connectDB() {
+  let nouveauClient = null;
   try {
     const uri = process.env.MONGODB_URI;
     
-    client = new MongoClient(uri);
-    await client.connect();
-    db = client.db("bibliothequedb");
+    nouveauClient = new MongoClient(uri);
+    await nouveauClient.connect();
+    const base = nouveauClient.db("bibliothequedb");
     console.log("✅ Connecté à MongoDB Atlas");
     
+    // Migrations de schéma en attente (désactivables avec MIGRATIONS_AUTO=false).
+    // Si une autre instance migre déjà, on attend qu'elle ait terminé.
+    if (process.env.MIGRATIONS_AUTO !== 'false') {
+      await executerMigrations(base, { attendreVerrou: true });
+    }
+    
+    client = nouveauClient;
+    db = base;
+    
     // Initialiser les données
     await initializeDefaultData();
     
+    // Tâches de fond et événements de circulation relayés aux navigateurs (/api/evenements),
+    // démarrés ici pour l'être aussi quand la base n'est joignable qu'après le démarrage.
+    // Tâches désactivables avec PLANIFICATEUR=false (ex. instances dédiées au web).
+    if (process.env.PLANIFICATEUR !== 'false') {
+      demarrerPlanificateur(db).catch(error => {
+        console.error("❌ Démarrage du planificateur:", error.message);
+      });
+    }
+    demarrerFluxChangements(db, PIPELINE_CIRCULATION, evenementCirculation);
+    
     return db;
   } catch (error) {
     console.error("❌ Erreur de connexion MongoDB:", error.message);
+    if (nouveauClient) await nouveauClient.close().catch(() => {});
     return null;
   }
 }
@@ -78,6 +303,91 @@ async function initializeDefaultData() {
       console.log("✅ Collection 'emprunts' créée");
     }
     
+    // Validateurs $jsonSchema (documents, exemplaires, utilisateurs, emprunts)
+    await appliquerSchemas(db);
+    
+    if (!collectionNames.includes('penalites')) {
+      await db.createCollection('penalites');
+      console.log("✅ Collection 'penalites' créée");
+    }
+    await db.collection('penalites').createIndex({ utilisateur_id: 1, statut: 1 });
+    
+    // Échecs de connexion : une entrée par clé, purgée par TTL
+    await db.collection('tentatives_connexion').createIndex({ cle: 1 }, { unique: true });
+    await db.collection('tentatives_connexion').createIndex({ expire_le: 1 }, { expireAfterSeconds: 0 });
+    
+    // Jetons de réinitialisation de mot de passe (empreinte unique, purgés à expiration)
+    await db.collection('jetons_reinitialisation').createIndex({ empreinte: 1 }, { unique: true });
+    await db.collection('jetons_reinitialisation').createIndex({ expire_le: 1 }, { expireAfterSeconds: 0 });
+    
+    // Sessions (gérées par connect-mongo) : recherche par utilisateur pour la révocation
+    await db.collection('sessions').createIndex({ 'session.userId': 1 });
+    
+    // Politique de prêt versionnée (version 1 = valeurs par défaut)
+    await db.collection('parametres').createIndex({ version: 1 }, { unique: true });
+    if (!(await parametresCourants())) {
+      await db.collection('parametres').insertOne({
+        version: 1,
+        politique: POLITIQUE_DEFAUT,
+        date_modification: new Date(),
+        modifie_par: 'système'
+      });
+      console.log("✅ Politique de prêt par défaut créée");
+    }
+    const politique = await politiqueCourante();
+    
+    // Index pour la recherche et le tri du catalogue (tri composé champ + _id de la pagination)
+    await db.collection('documents').createIndexes([
+      { key: { titre: 1, _id: 1 } },
+      { key: { auteur: 1, _id: 1 } },
+      { key: { type_de_document: 1 } },
+      { key: { annee: 1, _id: 1 } },
+      { key: { reservations: 1, _id: 1 } },
+      { key: { date_ajout: 1, _id: 1 } },
+      { key: { FIELD9: 1 } },
+      { key: { archive: 1 } },
+      { key: { sujets: 1 } },
+      { key: { isbn_10: 1 } },
+      // Un ISBN identifie un seul document (les documents sans ISBN ne sont pas concernés)
+      {
+        key: { isbn_13: 1 },
+        unique: true,
+        partialFilterExpression: { isbn_13: { $type: 'string' } }
+      }
+    ]);
+    
+    // Exemplaires : code-barres unique, recherche par document et par réservation
+    await db.collection('exemplaires').createIndexes([
+      { key: { code_barres: 1 }, unique: true },
+      { key: { document_id: 1, statut: 1 } },
+      { key: { reserve_pour: 1 } }
+    ]);
+    await db.collection('emprunts').createIndex({ exemplaire_id: 1, statut: 1 });
+    // Historique de lecture d'un utilisateur, du plus récent au plus ancien
+    await db.collection('emprunts').createIndex({ utilisateur_id: 1, date_emprunt: -1, _id: -1 });
+    // Statistiques de circulation sur une période
+    await db.collection('emprunts').createIndex({ date_emprunt: 1 });
+    
+    // Reçus du guichet (numéro unique)
+    await db.collection('recus').createIndex({ numero: 1 }, { unique: true });
+    
+    // Journal d'audit (rétention par index TTL)
+    await indexerAudit();
+    
+    // Rôles par défaut
+    await initialiserRoles();
+    
+    // Notifications : fil de l'utilisateur, clé anti-doublon des rappels, file d'envoi
+    await db.collection('notifications').createIndexes([
+      { key: { utilisateur_id: 1, date_creation: -1 } },
+      {
+        key: { utilisateur_id: 1, cle: 1 },
+        unique: true,
+        partialFilterExpression: { cle: { $type: 'string' } }
+      },
+      { key: { 'envoi.statut': 1 } }
+    ]);
+    
     // Vérifier si l'admin existe
     const adminExists = await db.collection('utilisateurs').findOne({ 
       email: 'admin@mediatheque.fr' 
@@ -87,7 +397,7 @@ async function initializeDefaultData() {
       await db.collection('utilisateurs').insertOne({
         nom: 'Administrateur',
         email: 'admin@mediatheque.fr',
-        password: hashPassword('admin123'),
+        password: await hashPassword('admin123'),
         role: 'admin',
         date_creation: new Date(),
         limite_emprunts: 999,
@@ -105,10 +415,11 @@ async function initializeDefaultData() {
       await db.collection('utilisateurs').insertOne({
         nom: 'Utilisateur Test',
         email: 'user@test.fr',
-        password: hashPassword('user123'),
+        password: await hashPassword('user123'),
         role: 'user',
+        categorie: politique.categorie_inscription,
         date_creation: new Date(),
-        limite_emprunts: 3,
+        limite_emprunts: politique.categories[politique.categorie_inscription].limite_emprunts,
         emprunts_actuels: 0
       });
       console.log("✅ Compte test créé (user@test.fr / user123)");
@@ -127,17 +438,220 @@ function requireAuth(req, res, next) {
       error: 'Veuillez vous connecter' 
     });
   }
+  marquerActivite(req);
   next();
 }
 
-function requireAdmin(req, res, next) {
-  if (!req.session.userId || req.session.role !== 'admin') {
-    return res.status(403).json({ 
-      success: false, 
-      error: 'Accès administrateur requis' 
-    });
+// Date de dernière activité de la session, rafraîchie au plus une fois par minute
+function marquerActivite(req) {
+  const appareil = req.session.appareil;
+  if (appareil && Date.now() - new Date(appareil.derniere_activite).getTime() > 60 * 1000) {
+    appareil.derniere_activite = new Date();
+    appareil.ip = req.ip;
   }
-  next();
+}
+
+// ==================== RÔLES ET PERMISSIONS ====================
+
+// Permissions nommées ; un rôle (collection "roles") en regroupe plusieurs
+const PERMISSIONS = {
+  'documents:write': 'Catalogue : créer, modifier, archiver et importer des documents, gérer les exemplaires',
+  'emprunts:manage': 'Circulation : guichet, prolongations, réservations, pénalités et export des emprunts',
+  'users:read': 'Consulter les comptes et leurs emprunts',
+  'users:manage': 'Créer, modifier, suspendre et supprimer des comptes',
+  'stats:read': 'Tableau de bord, statistiques et export du catalogue',
+  'parametres:manage': 'Politique de prêt et tâches planifiées',
+  'audit:read': "Consulter le journal d'audit",
+  'roles:manage': 'Créer et modifier les rôles'
+};
+
+// Rôles créés au premier démarrage. "admin" détient toujours toutes les permissions,
+// "user" est le rôle des lecteurs ; ces deux rôles système ne peuvent pas être supprimés.
+const ROLES_DEFAUT = [
+  { _id: 'admin', nom: 'Administrateur', permissions: Object.keys(PERMISSIONS), systeme: true },
+  { _id: 'user', nom: 'Lecteur', permissions: [], systeme: true },
+  { _id: 'bibliothecaire', nom: 'Bibliothécaire', permissions: ['documents:write', 'emprunts:manage', 'users:read', 'stats:read'] },
+  { _id: 'consultation', nom: 'Consultation', permissions: ['users:read', 'stats:read'] }
+];
+
+async function initialiserRoles() {
+  for (const role of ROLES_DEFAUT) {
+    const { _id, ...champs } = role;
+    await db.collection('roles').updateOne(
+      { _id },
+      { $setOnInsert: { ...champs, date_creation: new Date() } },
+      { upsert: true }
+    );
+  }
+  // Les permissions ajoutées depuis le dernier démarrage reviennent à l'admin
+  await db.collection('roles').updateOne(
+    { _id: 'admin' },
+    { $set: { permissions: Object.keys(PERMISSIONS) } }
+  );
+}
+
+// Permissions d'un rôle, relues à chaque requête : une modification du rôle s'applique aussitôt
+async function permissionsDuRole(role) {
+  if (role === 'admin') return Object.keys(PERMISSIONS);
+  if (!role) return [];
+  if (!db) db = await connectDB();
+  const trouve = await db.collection('roles').findOne({ _id: role });
+  return trouve ? trouve.permissions.filter(p => PERMISSIONS[p]) : [];
+}
+
+// Permissions de l'utilisateur connecté. Le rôle est relu dans "utilisateurs" et non
+// dans la session : une rétrogradation ou une suspension vaut dès la requête suivante,
+// même si une requête en cours réenregistre une session portant l'ancien rôle.
+async function permissionsSession(req) {
+  if (!req.session.userId) return [];
+  if (!db) db = await connectDB();
+  const compte = await db.collection('utilisateurs').findOne(
+    { _id: new ObjectId(req.session.userId), suspendu: { $ne: true } },
+    { projection: { role: 1 } }
+  );
+  if (!compte) return [];
+  // Le rôle de la session ne sert plus qu'à l'affichage et au journal
+  if (req.session.role !== compte.role) req.session.role = compte.role;
+  return permissionsDuRole(compte.role);
+}
+
+// Vrai si l'utilisateur connecté détient la permission
+async function aPermission(req, permission) {
+  return (await permissionsSession(req)).includes(permission);
+}
+
+// Middleware : la session doit détenir au moins une des permissions données.
+// Les permissions accordées restent disponibles dans req.permissions.
+function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    try {
+      if (!req.session.userId) {
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Veuillez vous connecter' 
+        });
+      }
+      const accordees = await permissionsSession(req);
+      if (!permissions.some(p => accordees.includes(p))) {
+        return res.status(403).json({ 
+          success: false, 
+          error: `Permission requise : ${permissions.join(' ou ')}` 
+        });
+      }
+      req.permissions = accordees;
+      marquerActivite(req);
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
+// Vrai si le rôle donne des permissions que l'utilisateur connecté n'a pas :
+// on ne peut ni attribuer un tel rôle, ni agir sur un compte qui le porte
+async function depassePermissions(req, role) {
+  const accordees = req.permissions || await permissionsSession(req);
+  return (await permissionsDuRole(role)).some(p => !accordees.includes(p));
+}
+
+// Vrai si le compte porte un rôle plus étendu que celui de l'utilisateur connecté
+async function compteHorsPortee(req, userId) {
+  const cible = await db.collection('utilisateurs').findOne({ _id: userId }, { projection: { role: 1 } });
+  return cible !== null && await depassePermissions(req, cible.role);
+}
+
+function refuserRoleSuperieur(res) {
+  return res.status(403).json({ 
+    success: false, 
+    error: 'Ce rôle donne des permissions que vous n\'avez pas' 
+  });
+}
+
+// ==================== AUDIT ====================
+
+// Journal des actions qui modifient l'état de l'application (collection "audit").
+// Les entrées ne sont jamais modifiées ; seul l'index TTL les supprime après AUDIT_RETENTION_JOURS.
+const AUDIT_RETENTION_JOURS = parseInt(process.env.AUDIT_RETENTION_JOURS) || 365;
+
+// Champs dont la valeur n'est jamais recopiée dans le journal
+const CHAMPS_MASQUES_AUDIT = ['password', 'empreinte'];
+
+// Différences champ par champ entre deux états d'un objet : { champ: { avant, apres } }
+function differencesAudit(avant, apres) {
+  const changements = {};
+  const champs = new Set([...Object.keys(avant || {}), ...Object.keys(apres || {})]);
+  
+  for (const champ of champs) {
+    if (champ === '_id') continue;
+    const valeurAvant = avant ? avant[champ] : undefined;
+    const valeurApres = apres ? apres[champ] : undefined;
+    if (BSON.EJSON.stringify({ v: valeurAvant ?? null }) === BSON.EJSON.stringify({ v: valeurApres ?? null })) continue;
+    
+    changements[champ] = CHAMPS_MASQUES_AUDIT.includes(champ)
+      ? { avant: valeurAvant === undefined ? null : '***', apres: valeurApres === undefined ? null : '***' }
+      : { avant: valeurAvant ?? null, apres: valeurApres ?? null };
+  }
+  return changements;
+}
+
+// Sous-ensemble des champs d'un objet : l'état "avant" des seuls champs modifiés
+function champsAudit(objet, champs) {
+  return Object.fromEntries(champs.map(champ => [champ, objet ? objet[champ] : undefined]));
+}
+
+// Ajoute une entrée au journal d'audit.
+// cible : { type, id, libelle } ; options : { avant, apres, details, acteur }
+// Dans une transaction, l'entrée est annulée avec l'action ; hors transaction,
+// un échec d'écriture du journal est signalé sans faire échouer la requête.
+async function journaliser(req, action, cible, options = {}, sessionMongo) {
+  const session = (req && req.session) || {};
+  const entree = {
+    date: new Date(),
+    action,
+    acteur: options.acteur || {
+      id: session.userId ? new ObjectId(session.userId) : null,
+      email: session.email || null,
+      role: session.role || null
+    },
+    cible: {
+      type: cible.type,
+      id: cible.id || null,
+      libelle: cible.libelle || null
+    },
+    changements: differencesAudit(options.avant, options.apres),
+    details: options.details || null,
+    ip: req ? req.ip : null
+  };
+  
+  if (sessionMongo) {
+    await db.collection("audit").insertOne(entree, { session: sessionMongo });
+    return;
+  }
+  try {
+    await db.collection("audit").insertOne(entree);
+  } catch (error) {
+    console.error(`❌ Journal d'audit (${action}):`, error.message);
+  }
+}
+
+// Index du journal ; la durée de rétention suit AUDIT_RETENTION_JOURS à chaque démarrage
+async function indexerAudit() {
+  const expireAfterSeconds = AUDIT_RETENTION_JOURS * 24 * 60 * 60;
+  try {
+    await db.collection('audit').createIndex({ date: 1 }, { name: 'retention', expireAfterSeconds });
+  } catch (error) {
+    // IndexOptionsConflict : la durée a changé
+    if (error.code !== 85) throw error;
+    await db.command({ collMod: 'audit', index: { name: 'retention', expireAfterSeconds } });
+  }
+  await db.collection('audit').createIndexes([
+    { key: { action: 1, date: -1 } },
+    { key: { 'acteur.id': 1, date: -1 } },
+    { key: { 'cible.type': 1, 'cible.id': 1, date: -1 } }
+  ]);
 }
 
 // ==================== ROUTES ====================
@@ -179,27 +693,164 @@ app.get("/api/health", async (req, res) => {
   }
 });
 
+// ==================== PROTECTION FORCE BRUTE ====================
+
+// Limites par type de clé : compte (email), adresse IP, inscriptions par IP.
+// Au-delà de "max" échecs dans la fenêtre, la clé est bloquée temporairement ;
+// avant cela, chaque échec impose un délai croissant (1s, 2s, 4s...).
+const LIMITES_TENTATIVES = {
+  compte: {
+    max: parseInt(process.env.CONNEXION_MAX_ECHECS_COMPTE) || 5,
+    fenetre_minutes: 15,
+    blocage_minutes: parseInt(process.env.CONNEXION_BLOCAGE_MINUTES) || 15,
+    delai_progressif: true
+  },
+  ip: {
+    max: parseInt(process.env.CONNEXION_MAX_ECHECS_IP) || 20,
+    fenetre_minutes: 15,
+    blocage_minutes: parseInt(process.env.CONNEXION_BLOCAGE_MINUTES) || 15,
+    delai_progressif: true
+  },
+  inscription: {
+    max: parseInt(process.env.INSCRIPTIONS_MAX_PAR_IP) || 5,
+    fenetre_minutes: 60,
+    blocage_minutes: 60,
+    delai_progressif: false
+  },
+  oubli: {
+    max: 10,
+    fenetre_minutes: 60,
+    blocage_minutes: 60,
+    delai_progressif: false
+  }
+};
+const DELAI_MAX_SECONDES = 30;
+const MS_PAR_MINUTE = 60 * 1000;
+
+// Hash factice : une tentative sur un email inconnu coûte autant qu'une vraie
+const HASH_FACTICE = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function cleTentative(type, valeur) {
+  return `${type}:${String(valeur).trim().toLowerCase()}`;
+}
+
+// Temps d'attente (ms) imposé avant une nouvelle tentative sur ces clés, 0 si aucune
+async function attenteTentative(cles) {
+  const maintenant = Date.now();
+  const entrees = await db.collection('tentatives_connexion')
+    .find({ cle: { $in: cles } })
+    .toArray();
+  
+  let attente = 0;
+  for (const entree of entrees) {
+    for (const date of [entree.bloque_jusqu_au, entree.prochaine_tentative]) {
+      if (date && date.getTime() > maintenant) {
+        attente = Math.max(attente, date.getTime() - maintenant);
+      }
+    }
+  }
+  return attente;
+}
+
+// Compte un échec (ou une inscription) pour la clé et fixe délai / blocage
+async function enregistrerTentative(type, valeur) {
+  const limites = LIMITES_TENTATIVES[type];
+  const maintenant = new Date();
+  const debutFenetre = new Date(maintenant.getTime() - limites.fenetre_minutes * MS_PAR_MINUTE);
+  
+  // Le compteur repart à 1 si le dernier échec est sorti de la fenêtre
+  const entree = await db.collection('tentatives_connexion').findOneAndUpdate(
+    { cle: cleTentative(type, valeur) },
+    [{
+      $set: {
+        type,
+        echecs: {
+          $cond: [
+            { $gt: ['$dernier_echec', debutFenetre] },
+            { $add: [{ $ifNull: ['$echecs', 0] }, 1] },
+            1
+          ]
+        },
+        dernier_echec: maintenant
+      }
+    }],
+    { upsert: true, returnDocument: 'after' }
+  );
+  
+  const maj = {};
+  if (entree.echecs >= limites.max) {
+    maj.bloque_jusqu_au = new Date(maintenant.getTime() + limites.blocage_minutes * MS_PAR_MINUTE);
+  } else if (limites.delai_progressif) {
+    const secondes = Math.min(2 ** (entree.echecs - 1), DELAI_MAX_SECONDES);
+    maj.prochaine_tentative = new Date(maintenant.getTime() + secondes * 1000);
+  }
+  // Purge automatique (index TTL) une fois fenêtre et blocage écoulés
+  maj.expire_le = new Date(maintenant.getTime() +
+    Math.max(limites.fenetre_minutes, limites.blocage_minutes) * MS_PAR_MINUTE);
+  
+  await db.collection('tentatives_connexion').updateOne({ _id: entree._id }, { $set: maj });
+}
+
+function refuserTentative(res, attente) {
+  res.set('Retry-After', String(Math.ceil(attente / 1000)));
+  return res.status(429).json({
+    success: false,
+    error: 'Trop de tentatives, réessayez plus tard',
+    reessayer_dans: Math.ceil(attente / 1000)
+  });
+}
+
+// Limite le nombre d'appels par adresse IP (inscriptions, mots de passe oubliés)
+function limiterParIp(type) {
+  return async (req, res, next) => {
+    try {
+      if (!db) db = await connectDB();
+      
+      const attente = await attenteTentative([cleTentative(type, req.ip)]);
+      if (attente > 0) {
+        return refuserTentative(res, attente);
+      }
+      await enregistrerTentative(type, req.ip);
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
 // ==================== AUTHENTIFICATION ====================
 
+// Champs attendus à l'inscription
+const REGLES_INSCRIPTION = {
+  nom: { type: 'texte', requis: true, longueur_max: 100 },
+  email: { type: 'email', requis: true },
+  password: { type: 'texte', requis: true }
+};
+
+// Champs attendus à la connexion (l'email est comparé en minuscules)
+const REGLES_CONNEXION = {
+  email: { type: 'email', requis: true },
+  password: { type: 'texte', requis: true }
+};
+
 // Inscription
-app.post("/api/auth/register", async (req, res) => {
+app.post("/api/auth/register", limiterParIp('inscription'), async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const { nom, email, password } = req.body;
-    
-    if (!nom || !email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Tous les champs sont requis' 
-      });
+    const { erreurs, valeurs } = validerChamps(req.body, REGLES_INSCRIPTION);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Inscription invalide', erreurs);
     }
+    const { nom, email, password } = valeurs;
     
-    if (password.length < 3) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Mot de passe trop court' 
-      });
+    const erreursMotDePasse = verifierMotDePasse(password, email);
+    if (erreursMotDePasse.length > 0) {
+      return repondreInvalide(res, erreursMotDePasse[0],
+        erreursMotDePasse.map(message => ({ champ: 'password', message })));
     }
     
     const userExists = await db.collection('utilisateurs').findOne({ email });
@@ -210,22 +861,35 @@ app.post("/api/auth/register", async (req, res) => {
       });
     }
     
+    // Catégorie et limite d'emprunts issues de la politique de prêt
+    const politique = await politiqueCourante();
+    const categorie = politique.categorie_inscription;
+    
     const result = await db.collection('utilisateurs').insertOne({
       nom,
       email,
-      password: hashPassword(password),
+      password: await hashPassword(password),
       role: 'user',
+      categorie,
       date_creation: new Date(),
-      limite_emprunts: 3,
+      limite_emprunts: politique.categories[categorie].limite_emprunts,
       emprunts_actuels: 0
     });
     
+    await journaliser(req, 'auth.inscription', { type: 'utilisateur', id: result.insertedId, libelle: email }, {
+      acteur: { id: result.insertedId, email, role: 'user' },
+      apres: { nom, email, role: 'user', categorie }
+    });
+    
     res.json({
       success: true,
       message: 'Compte créé avec succès',
       userId: result.insertedId
     });
   } catch (error) {
+    if (estErreurSchema(error)) {
+      return repondreInvalide(res, 'Inscription invalide', detailsErreurSchema(error));
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -238,46 +902,84 @@ app.post("/api/auth/login", async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const { email, password } = req.body;
+    // Types vérifiés avant tout usage : un objet ({ "$ne": null }) ne doit
+    // ni servir de filtre MongoDB ni produire une clé de blocage arbitraire
+    const { erreurs, valeurs } = validerChamps(req.body, REGLES_CONNEXION);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Email et mot de passe requis', erreurs);
+    }
+    const { email } = valeurs;
+    const { password } = req.body;
     
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email et mot de passe requis' 
-      });
+    // Blocage par compte et par IP, identique que l'email existe ou non
+    const cles = [cleTentative('compte', email), cleTentative('ip', req.ip)];
+    const attente = await attenteTentative(cles);
+    if (attente > 0) {
+      return refuserTentative(res, attente);
     }
     
     const user = await db.collection('utilisateurs').findOne({ email });
-    if (!user) {
+    const verification = await comparePassword(password, user ? user.password : await HASH_FACTICE);
+    if (!user || !verification.valide) {
+      await enregistrerTentative('compte', email);
+      await enregistrerTentative('ip', req.ip);
       return res.status(401).json({ 
         success: false, 
         error: 'Email ou mot de passe incorrect' 
       });
     }
     
-    if (!comparePassword(password, user.password)) {
-      return res.status(401).json({ 
+    await db.collection('tentatives_connexion').deleteOne({ cle: cles[0] });
+    
+    // Migration transparente des anciens hashs vers scrypt
+    if (verification.aMettreAJour) {
+      await db.collection('utilisateurs').updateOne(
+        { _id: user._id, password: user.password },
+        { $set: { password: await hashPassword(password) } }
+      );
+    }
+    
+    if (user.suspendu) {
+      return res.status(403).json({ 
         success: false, 
-        error: 'Email ou mot de passe incorrect' 
+        error: 'Compte suspendu, contactez la médiathèque' 
       });
     }
     
-    // Session
+    // Nouvelle session (nouvel identifiant) avec les informations de l'appareil
+    await new Promise((resolve, reject) => {
+      req.session.regenerate(err => err ? reject(err) : resolve());
+    });
     req.session.userId = user._id.toString();
     req.session.email = user.email;
     req.session.nom = user.nom;
     req.session.role = user.role;
+    if (user.mot_de_passe_a_changer) {
+      req.session.mot_de_passe_a_changer = true;
+    }
+    req.session.appareil = {
+      ...decrireAppareil(req.get('User-Agent')),
+      user_agent: req.get('User-Agent') || null,
+      ip: req.ip,
+      date_connexion: new Date(),
+      derniere_activite: new Date()
+    };
+    
+    await journaliser(req, 'auth.connexion', { type: 'utilisateur', id: user._id, libelle: user.email });
     
     res.json({
       success: true,
       message: 'Connexion réussie',
+      csrf: jetonCsrf(req),
       user: {
         id: user._id,
         nom: user.nom,
         email: user.email,
         role: user.role,
+        permissions: await permissionsDuRole(user.role),
         limite_emprunts: user.limite_emprunts,
-        emprunts_actuels: user.emprunts_actuels || 0
+        emprunts_actuels: user.emprunts_actuels || 0,
+        mot_de_passe_a_changer: user.mot_de_passe_a_changer || false
       }
     });
   } catch (error) {
@@ -289,37 +991,69 @@ app.post("/api/auth/login", async (req, res) => {
 });
 
 // Déconnexion
-app.post("/api/auth/logout", (req, res) => {
+app.post("/api/auth/logout", async (req, res) => {
+  // Un échec du journal ne doit pas empêcher la déconnexion
+  if (req.session.userId) {
+    try {
+      if (!db) db = await connectDB();
+      await journaliser(req, 'auth.deconnexion', { type: 'utilisateur', id: new ObjectId(req.session.userId), libelle: req.session.email });
+    } catch (error) {
+      console.error("❌ Journal de la déconnexion:", error.message);
+    }
+  }
   req.session.destroy();
   res.json({ success: true, message: 'Déconnecté' });
 });
 
-// Profil utilisateur
-app.get("/api/auth/me", requireAuth, async (req, res) => {
+// Changer son mot de passe
+const REGLES_CHANGEMENT_MOT_DE_PASSE = {
+  ancien: { type: 'texte', requis: true },
+  nouveau: { type: 'texte', requis: true }
+};
+
+app.post("/api/auth/mot-de-passe", requireAuth, async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const user = await db.collection('utilisateurs').findOne({
-      _id: new ObjectId(req.session.userId)
-    });
+    const { erreurs } = validerChamps(req.body, REGLES_CHANGEMENT_MOT_DE_PASSE);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Ancien et nouveau mot de passe requis', erreurs);
+    }
+    const { ancien, nouveau } = req.body;
     
-    if (!user) {
-      return res.status(404).json({ 
+    const userId = new ObjectId(req.session.userId);
+    const user = await db.collection('utilisateurs').findOne({ _id: userId });
+    
+    const erreursMotDePasse = verifierMotDePasse(nouveau, user && user.email);
+    if (erreursMotDePasse.length > 0) {
+      return repondreInvalide(res, erreursMotDePasse[0],
+        erreursMotDePasse.map(message => ({ champ: 'nouveau', message })));
+    }
+    
+    if (!user || !(await comparePassword(ancien, user.password)).valide) {
+      return res.status(401).json({ 
         success: false, 
-        error: 'Utilisateur non trouvé' 
+        error: 'Mot de passe actuel incorrect' 
       });
     }
     
+    await db.collection('utilisateurs').updateOne(
+      { _id: userId },
+      { 
+        $set: { password: await hashPassword(nouveau) },
+        $unset: { mot_de_passe_a_changer: "" }
+      }
+    );
+    
+    // Les autres appareils sont déconnectés, la session courante est conservée
+    delete req.session.mot_de_passe_a_changer;
+    await revoquerSessions(userId, req.sessionID);
+    
+    await journaliser(req, 'auth.mot_de_passe', { type: 'utilisateur', id: userId, libelle: user.email });
+    
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        nom: user.nom,
-        email: user.email,
-        role: user.role,
-        limite_emprunts: user.limite_emprunts,
-        emprunts_actuels: user.emprunts_actuels || 0
-      }
+      message: 'Mot de passe modifié'
     });
   } catch (error) {
     res.status(500).json({
@@ -329,17 +1063,65 @@ app.get("/api/auth/me", requireAuth, async (req, res) => {
   }
 });
 
-// ==================== DOCUMENTS ====================
+// ==================== MOT DE PASSE OUBLIÉ ====================
 
-// Récupérer tous les documents
-app.get("/api/documents", async (req, res) => {
+const JETON_VALIDITE_MINUTES = parseInt(process.env.JETON_VALIDITE_MINUTES) || 60;
+const URL_APPLICATION = process.env.APP_URL || `http://localhost:${PORT}`;
+
+// Seule l'empreinte du jeton est stockée : une fuite de la base ne permet pas de l'utiliser
+function empreinteJeton(jeton) {
+  return crypto.createHash('sha256').update(String(jeton)).digest('hex');
+}
+
+// Crée le jeton de réinitialisation d'un compte et lui envoie le lien par mail
+async function envoyerLienReinitialisation(req, user) {
+  const jeton = crypto.randomBytes(32).toString('base64url');
+  
+  // Un seul jeton valide à la fois par utilisateur
+  await db.collection('jetons_reinitialisation').deleteMany({ utilisateur_id: user._id });
+  await db.collection('jetons_reinitialisation').insertOne({
+    utilisateur_id: user._id,
+    empreinte: empreinteJeton(jeton),
+    date_creation: new Date(),
+    expire_le: new Date(Date.now() + JETON_VALIDITE_MINUTES * MS_PAR_MINUTE),
+    ip: req.ip
+  });
+  
+  await journaliser(req, 'auth.demande_reinitialisation', { type: 'utilisateur', id: user._id, libelle: user.email });
+  
+  await envoyerMail({
+    a: user.email,
+    sujet: 'Réinitialisation de votre mot de passe',
+    texte: `Bonjour ${user.nom},\n\n` +
+      `Pour choisir un nouveau mot de passe, ouvrez ce lien (valable ${JETON_VALIDITE_MINUTES} minutes) :\n` +
+      `${URL_APPLICATION}/login?jeton=${jeton}\n\n` +
+      `Si vous n'êtes pas à l'origine de cette demande, ignorez ce message.`
+  });
+}
+
+// Demande de réinitialisation : réponse identique que l'email existe ou non.
+// Le jeton et le mail sont traités après la réponse, pour que son délai
+// ne trahisse pas les emails inscrits.
+app.post("/api/auth/mot-de-passe-oublie", limiterParIp('oubli'), async (req, res) => {
   try {
     if (!db) db = await connectDB();
-    const documents = await db.collection("documents").find().toArray();
+    
+    const { erreurs, valeurs } = validerChamps(req.body, { email: REGLES_CONNEXION.email });
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Email requis', erreurs);
+    }
+    
+    const user = await db.collection('utilisateurs').findOne({ email: valeurs.email });
+    
+    if (user && !user.suspendu) {
+      envoyerLienReinitialisation(req, user).catch(error => {
+        console.error("❌ Envoi du lien de réinitialisation impossible:", error.message);
+      });
+    }
+    
     res.json({
       success: true,
-      count: documents.length,
-      documents: documents
+      message: 'Si un compte correspond à cet email, un lien de réinitialisation vient d\'être envoyé'
     });
   } catch (error) {
     res.status(500).json({
@@ -349,85 +1131,74 @@ app.get("/api/documents", async (req, res) => {
   }
 });
 
-// Emprunter un document
-app.post("/api/documents/:id/emprunter", requireAuth, async (req, res) => {
+// Choix d'un nouveau mot de passe à partir du jeton reçu par mail
+app.post("/api/auth/reinitialiser", limiterParIp('oubli'), async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const userId = new ObjectId(req.session.userId);
-    const documentId = new ObjectId(req.params.id);
+    const { jeton, nouveau } = req.body;
     
-    // Vérifier l'utilisateur
-    const user = await db.collection('utilisateurs').findOne({ _id: userId });
-    if (!user) {
-      return res.status(404).json({ 
+    if (!jeton || !nouveau) {
+      return res.status(400).json({ 
         success: false, 
-        error: 'Utilisateur non trouvé' 
+        error: 'Jeton et nouveau mot de passe requis' 
       });
     }
     
-    // Vérifier limite
-    if (user.emprunts_actuels >= user.limite_emprunts) {
+    const filtreJeton = {
+      empreinte: empreinteJeton(jeton),
+      date_utilisation: { $exists: false },
+      expire_le: { $gt: new Date() }
+    };
+    
+    const demande = await db.collection('jetons_reinitialisation').findOne(filtreJeton);
+    const user = demande && await db.collection('utilisateurs').findOne({ _id: demande.utilisateur_id });
+    
+    if (!user) {
       return res.status(400).json({ 
         success: false, 
-        error: `Limite d'emprunts atteinte (${user.limite_emprunts})` 
+        error: 'Lien de réinitialisation invalide ou expiré' 
       });
     }
     
-    // Vérifier document disponible
-    const document = await db.collection("documents").findOne({ 
-      _id: documentId,
-      FIELD9: "disponible" 
-    });
+    const erreursMotDePasse = verifierMotDePasse(nouveau, user.email);
+    if (erreursMotDePasse.length > 0) {
+      return repondreInvalide(res, erreursMotDePasse[0],
+        erreursMotDePasse.map(message => ({ champ: 'nouveau', message })));
+    }
     
-    if (!document) {
+    // Consommation atomique : un jeton ne sert qu'une fois
+    const consomme = await db.collection('jetons_reinitialisation').findOneAndUpdate(
+      { _id: demande._id, ...filtreJeton },
+      { $set: { date_utilisation: new Date() } }
+    );
+    if (!consomme) {
       return res.status(400).json({ 
         success: false, 
-        error: "Document non disponible" 
+        error: 'Lien de réinitialisation invalide ou expiré' 
       });
     }
     
-    // Date de retour (30 jours)
-    const dateRetour = new Date();
-    dateRetour.setDate(dateRetour.getDate() + 30);
-    
-    // Mettre à jour document
-    await db.collection("documents").updateOne(
-      { _id: documentId },
+    await db.collection('utilisateurs').updateOne(
+      { _id: user._id },
       { 
-        $set: { 
-          FIELD9: "emprunté",
-          disponible: false,
-          emprunte_par: user.email,
-          date_emprunt: new Date()
-        },
-        $inc: { reservations: 1 }
+        $set: { password: await hashPassword(nouveau) },
+        $unset: { mot_de_passe_a_changer: "" }
       }
     );
     
-    // Créer emprunt
-    await db.collection("emprunts").insertOne({
-      document_id: documentId,
-      document_titre: document.titre,
-      utilisateur_id: userId,
-      utilisateur_email: user.email,
-      date_emprunt: new Date(),
-      date_retour_prevu: dateRetour,
-      date_retour_reel: null,
-      statut: 'emprunté'
-    });
+    // Le compte retrouve l'accès même s'il avait été bloqué après trop d'échecs
+    await db.collection('tentatives_connexion').deleteOne({ cle: cleTentative('compte', user.email) });
+    await revoquerSessions(user._id);
     
-    // Mettre à jour compteur utilisateur
-    await db.collection("utilisateurs").updateOne(
-      { _id: userId },
-      { $inc: { emprunts_actuels: 1 } }
-    );
+    await journaliser(req, 'auth.reinitialisation', { type: 'utilisateur', id: user._id, libelle: user.email }, {
+      acteur: { id: user._id, email: user.email, role: user.role }
+    });
     
     res.json({
       success: true,
-      message: `Document emprunté. Retour avant le ${dateRetour.toLocaleDateString('fr-FR')}`
+      message: 'Mot de passe réinitialisé, vous pouvez vous connecter'
     });
-    
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -436,63 +1207,4133 @@ app.post("/api/documents/:id/emprunter", requireAuth, async (req, res) => {
   }
 });
 
+// Jeton CSRF de la session courante
+app.get("/api/auth/csrf", (req, res) => {
+  res.json({
+    success: true,
+    csrf: jetonCsrf(req)
+  });
+});
+
+// Règles de mot de passe (affichées sur le formulaire d'inscription)
+app.get("/api/auth/politique-mot-de-passe", (req, res) => {
+  res.json({
+    success: true,
+    politique: POLITIQUE_MOT_DE_PASSE
+  });
+});
+
+// Profil utilisateur
+app.get("/api/auth/me", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const user = await db.collection('utilisateurs').findOne({
+      _id: new ObjectId(req.session.userId)
+    });
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Utilisateur non trouvé' 
+      });
+    }
+    
+    const penalites = await soldePenalites(user._id);
+    
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        nom: user.nom,
+        email: user.email,
+        role: user.role,
+        permissions: await permissionsDuRole(user.role),
+        limite_emprunts: user.limite_emprunts,
+        emprunts_actuels: user.emprunts_actuels || 0,
+        mot_de_passe_a_changer: user.mot_de_passe_a_changer || false,
+        penalites
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== SESSIONS ====================
+
+// Identifiant public d'une session : l'empreinte de son id, jamais l'id lui-même
+function idSession(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 32);
+}
+
+// Description lisible de l'appareil à partir du User-Agent
+function decrireAppareil(userAgent = '') {
+  const navigateurs = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']
+  ];
+  const systemes = [
+    [/Android/, 'Android'], [/iPhone|iPad/, 'iOS'], [/Windows/, 'Windows'],
+    [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']
+  ];
+  const navigateur = navigateurs.find(([motif]) => motif.test(userAgent));
+  const systeme = systemes.find(([motif]) => motif.test(userAgent));
+  
+  return {
+    navigateur: navigateur ? navigateur[1] : 'Inconnu',
+    systeme: systeme ? systeme[1] : 'Inconnu',
+    mobile: /Mobile|Android|iPhone/.test(userAgent)
+  };
+}
+
+// Supprime les sessions d'un utilisateur (sauf éventuellement la session courante)
+async function revoquerSessions(userId, saufSid = null) {
+  const filtre = { 'session.userId': userId.toString() };
+  if (saufSid) filtre._id = { $ne: saufSid };
+  
+  const result = await db.collection('sessions').deleteMany(filtre);
+  return result.deletedCount;
+}
+
+// Sessions ouvertes de l'utilisateur connecté
+app.get("/api/auth/sessions", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const sessions = await db.collection('sessions').find({
+      'session.userId': req.session.userId,
+      expires: { $gt: new Date() }
+    }).toArray();
+    
+    res.json({
+      success: true,
+      sessions: sessions
+        .map(s => ({
+          id: idSession(s._id),
+          courante: s._id === req.sessionID,
+          ...s.session.appareil,
+          expire_le: s.expires
+        }))
+        .sort((a, b) => new Date(b.derniere_activite) - new Date(a.derniere_activite))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Révoquer une session (déconnexion à distance d'un appareil)
+app.delete("/api/auth/sessions/:sessionId", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const sessions = await db.collection('sessions').find(
+      { 'session.userId': req.session.userId },
+      { projection: { _id: 1 } }
+    ).toArray();
+    const cible = sessions.find(s => idSession(s._id) === req.params.sessionId);
+    
+    if (!cible) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Session non trouvée' 
+      });
+    }
+    
+    await journaliser(req, 'session.revocation', { type: 'session', id: req.params.sessionId, libelle: req.session.email }, {
+      details: { session_courante: cible._id === req.sessionID }
+    });
+    
+    if (cible._id === req.sessionID) {
+      req.session.destroy();
+    } else {
+      await db.collection('sessions').deleteOne({ _id: cible._id });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Session révoquée'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== DOCUMENTS ====================
+
+// Champs autorisés pour le tri du catalogue
+const TRIS_DOCUMENTS = ['titre', 'auteur', 'annee', 'reservations', 'date_ajout'];
+
+// Échappe une saisie utilisateur avant de l'utiliser dans une RegExp
+function echapperRegex(texte) {
+  return texte.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Documents visibles dans le catalogue public
+const NON_ARCHIVE = { archive: { $ne: true } };
+
+// Paramètres de recherche du catalogue
+const REGLES_RECHERCHE = {
+  q: { type: 'texte', longueur_max: 200 },
+  isbn: { type: 'texte', longueur_max: 20 },
+  sujet: { type: 'texte', longueur_max: 200 },
+  auteur: { type: 'texte', longueur_max: 200 },
+  type: { type: 'texte', longueur_max: 100 },
+  annee_min: { type: 'entier' },
+  annee_max: { type: 'entier' },
+  statut: { type: 'choix', valeurs: ['disponible', 'emprunté', 'réservé', 'indisponible'] },
+  disponible: { type: 'booleen' },
+  archives: { type: 'choix', valeurs: ['inclure', 'seulement'] }
+};
+
+// Conversion tolérante : certaines années sont stockées en texte
+const ANNEE_NUMERIQUE = { $convert: { input: "$annee", to: "int", onError: null, onNull: null } };
+
+// Construit le filtre MongoDB à partir des paramètres de recherche
+// (les archives ne sont accessibles qu'aux admins, via archives=inclure|seulement)
+// Renvoie { erreurs, filtre }
+function filtreDocuments(query, estAdmin) {
+  const { erreurs, valeurs } = validerChamps(query, REGLES_RECHERCHE);
+  const filtre = {};
+  
+  if (estAdmin && valeurs.archives === 'seulement') {
+    filtre.archive = true;
+  } else if (!(estAdmin && valeurs.archives === 'inclure')) {
+    Object.assign(filtre, NON_ARCHIVE);
+  }
+  
+  // Une recherche qui est un ISBN valide (10 ou 13) cherche le document correspondant
+  const isbn = analyserIsbn(valeurs.isbn || valeurs.q);
+  if (isbn) {
+    filtre.isbn_13 = isbn.isbn_13;
+  } else if (valeurs.isbn) {
+    filtre.isbn_13 = { $in: [] };
+  } else if (valeurs.q) {
+    const regex = new RegExp(echapperRegex(valeurs.q), 'i');
+    filtre.$or = [{ titre: regex }, { auteur: regex }, { type_de_document: regex }, { sujets: regex }];
+  }
+  if (valeurs.sujet) {
+    filtre.sujets = valeurs.sujet;
+  }
+  if (valeurs.auteur) {
+    filtre.auteur = new RegExp(echapperRegex(valeurs.auteur), 'i');
+  }
+  if (valeurs.type) {
+    filtre.type_de_document = valeurs.type;
+  }
+  // Même conversion que la facette des décennies
+  if (valeurs.annee_min !== undefined || valeurs.annee_max !== undefined) {
+    const bornes = [{ $ne: [ANNEE_NUMERIQUE, null] }];
+    if (valeurs.annee_min !== undefined) bornes.push({ $gte: [ANNEE_NUMERIQUE, valeurs.annee_min] });
+    if (valeurs.annee_max !== undefined) bornes.push({ $lte: [ANNEE_NUMERIQUE, valeurs.annee_max] });
+    filtre.$expr = { $and: bornes };
+  }
+  if (valeurs.statut) {
+    filtre.FIELD9 = valeurs.statut;
+  } else if (valeurs.disponible === true) {
+    filtre.FIELD9 = "disponible";
+  } else if (valeurs.disponible === false) {
+    filtre.FIELD9 = { $ne: "disponible" };
+  }
+  
+  return { erreurs, filtre };
+}
+
+// Curseur opaque : dernière valeur triée + dernier _id de la page
+function encoderCurseur(document, champTri) {
+  const valeur = document[champTri] === undefined ? null : document[champTri];
+  return Buffer.from(BSON.EJSON.stringify({ v: valeur, id: document._id })).toString('base64url');
+}
+
+// Renvoie null si le curseur n'a pas la forme { v: valeur simple, id: ObjectId }
+function decoderCurseur(curseur) {
+  try {
+    const decode = BSON.EJSON.parse(Buffer.from(String(curseur), 'base64url').toString());
+    const v = decode && decode.v;
+    const simple = v === null || typeof v === 'string' || Number.isFinite(v) || (v instanceof Date && !isNaN(v));
+    return simple && decode.id instanceof ObjectId ? decode : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Ordre de tri BSON des types rencontrés dans les champs triables (null et absent en premier)
+const TYPES_TRI = ['null', 'number', 'string', 'date'];
+
+function rangTri(valeur) {
+  if (valeur === null) return 0;
+  if (typeof valeur === 'number') return 1;
+  if (typeof valeur === 'string') return 2;
+  return 3;
+}
+
+// Documents situés après le curseur dans le tri { champ: sens, _id: sens }.
+// $gt / $lt ne comparent qu'à l'intérieur d'un même type : les types placés
+// après (ou avant) celui de la valeur sont ajoutés explicitement.
+function filtreApresCurseur(champ, curseur, sens) {
+  const op = sens === 1 ? '$gt' : '$lt';
+  const rang = rangTri(curseur.v);
+  const conditions = [{ [champ]: curseur.v, _id: { [op]: curseur.id } }];
+  
+  if (curseur.v !== null) {
+    conditions.push({ [champ]: { [op]: curseur.v } });
+  }
+  if (sens === 1) {
+    if (rang < TYPES_TRI.length - 1) {
+      conditions.push({ [champ]: { $type: TYPES_TRI.slice(rang + 1) } });
+    }
+  } else if (rang > 0) {
+    conditions.push({ [champ]: null });
+    if (rang > 1) conditions.push({ [champ]: { $type: TYPES_TRI.slice(1, rang) } });
+  }
+  return { $or: conditions };
+}
+
+// Récupérer les documents (recherche, filtres, tri, pagination par curseur)
+app.get("/api/documents", async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const champTri = TRIS_DOCUMENTS.includes(req.query.tri) ? req.query.tri : 'titre';
+    const sens = req.query.ordre === 'desc' ? -1 : 1;
+    const limite = Math.min(Math.max(parseInt(req.query.limite) || 20, 1), 100);
+    const { erreurs, filtre } = filtreDocuments(req.query, await aPermission(req, 'documents:write'));
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Recherche invalide', erreurs);
+    }
+    
+    // Position après le curseur (tri composé champ + _id pour départager)
+    let filtrePage = filtre;
+    if (req.query.curseur) {
+      const curseur = decoderCurseur(req.query.curseur);
+      if (!curseur) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Curseur invalide' 
+        });
+      }
+      filtrePage = { $and: [filtre, filtreApresCurseur(champTri, curseur, sens)] };
+    }
+    
+    // La page passe par find (index de tri utilisable), les facettes par une agrégation à part
+    const [pageDocuments, [facettes]] = await Promise.all([
+      db.collection("documents")
+        .find(filtrePage)
+        .sort({ [champTri]: sens, _id: sens })
+        .limit(limite + 1)
+        .toArray(),
+      db.collection("documents").aggregate([
+        { $match: filtre },
+        { 
+          $facet: {
+            total: [{ $count: "n" }],
+            types: [
+              { $group: { _id: "$type_de_document", count: { $sum: 1 } } },
+              { $sort: { count: -1 } }
+            ],
+            decennies: [
+              { $group: { _id: { $multiply: [{ $floor: { $divide: [ANNEE_NUMERIQUE, 10] } }, 10] }, count: { $sum: 1 } } },
+              { $sort: { _id: 1 } }
+            ],
+            statuts: [
+              { $group: { _id: "$FIELD9", count: { $sum: 1 } } },
+              { $sort: { count: -1 } }
+            ]
+          }
+        }
+      ]).toArray()
+    ]);
+    
+    const pageSuivante = pageDocuments.length > limite;
+    const documents = pageDocuments.slice(0, limite);
+    
+    res.json({
+      success: true,
+      count: documents.length,
+      total: facettes.total[0] ? facettes.total[0].n : 0,
+      documents: documents.map(masquerFileAttente),
+      curseur_suivant: pageSuivante ? encoderCurseur(documents[documents.length - 1], champTri) : null,
+      facettes: {
+        types: facettes.types,
+        decennies: facettes.decennies,
+        statuts: facettes.statuts
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Détail d'un document
+app.get("/api/documents/:id", async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const document = await db.collection("documents").findOne({ _id: new ObjectId(req.params.id) });
+    const estAdmin = await aPermission(req, 'documents:write');
+    
+    // Les documents archivés ne sont visibles que du personnel chargé du catalogue
+    if (!document || (document.archive && !estAdmin)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Document non trouvé' 
+      });
+    }
+    
+    const exemplaires = await db.collection("exemplaires")
+      .find(estAdmin ? { document_id: document._id } : { document_id: document._id, statut: { $ne: 'retiré' } })
+      .sort({ code_barres: 1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      document: estAdmin 
+        ? { ...document, exemplaires } 
+        : { ...masquerFileAttente(document), exemplaires: exemplaires.map(exemplairePublic) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Emprunter un document
+app.post("/api/documents/:id/emprunter", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const userId = new ObjectId(req.session.userId);
+    const documentId = new ObjectId(req.params.id);
+    
+    // Libérer les retraits expirés avant de vérifier la disponibilité
+    await expirerRetraits();
+    
+    const emprunt = await avecTransaction(sessionMongo => 
+      effectuerEmprunt(userId, documentId, sessionMongo, { req })
+    );
+    
+    res.json({
+      success: true,
+      message: `Document emprunté. Retour avant le ${emprunt.date_retour_prevu.toLocaleDateString('fr-FR')}`
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Retourner un document
 app.post("/api/documents/:id/retourner", requireAuth, async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const userId = new ObjectId(req.session.userId);
-    const documentId = new ObjectId(req.params.id);
+    const userId = new ObjectId(req.session.userId);
+    const documentId = new ObjectId(req.params.id);
+    
+    const { suivant, penalite } = await avecTransaction(sessionMongo => 
+      effectuerRetour({ document_id: documentId, utilisateur_id: userId }, sessionMongo, { req })
+    );
+    
+    let message = suivant
+      ? "Document retourné avec succès (mis de côté pour la prochaine réservation)"
+      : "Document retourné avec succès";
+    if (penalite) {
+      message += penalite.type === 'amende'
+        ? `. Retard de ${penalite.jours_retard} jour(s) : amende de ${penalite.montant.toFixed(2)} €`
+        : `. Retard de ${penalite.jours_retard} jour(s) : emprunts suspendus jusqu'au ${penalite.date_fin_suspension.toLocaleDateString('fr-FR')}`;
+    }
+    
+    res.json({
+      success: true,
+      message,
+      penalite
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Statistiques
+app.get("/api/stats", async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    // Titres (disponible = au moins un exemplaire en rayon)
+    const total = await db.collection("documents").countDocuments(NON_ARCHIVE);
+    const disponibles = await db.collection("documents").countDocuments({ 
+      ...NON_ARCHIVE,
+      FIELD9: "disponible" 
+    });
+    const empruntes = await db.collection("documents").countDocuments({ 
+      ...NON_ARCHIVE,
+      FIELD9: "emprunté" 
+    });
+    
+    // Exemplaires en circulation des titres non archivés
+    const parStatut = await db.collection("exemplaires").aggregate([
+      { $match: { statut: { $ne: "retiré" } } },
+      { $lookup: { from: "documents", localField: "document_id", foreignField: "_id", as: "document" } },
+      { $match: { "document.archive": { $ne: true } } },
+      { $group: { _id: "$statut", total: { $sum: 1 } } }
+    ]).toArray();
+    const exemplaires = Object.fromEntries(parStatut.map(s => [s._id, s.total]));
+    
+    // Total réservations
+    const aggResult = await db.collection("documents").aggregate([
+      { $match: NON_ARCHIVE },
+      { $group: { _id: null, totalReservations: { $sum: "$reservations" } } }
+    ]).toArray();
+    
+    const totalReservations = aggResult[0] ? aggResult[0].totalReservations : 0;
+
+    res.json({
+      success: true,
+      stats: {
+        total,
+        disponibles,
+        empruntes,
+        totalReservations,
+        titres: {
+          total,
+          disponibles,
+          empruntes
+        },
+        exemplaires: {
+          total: parStatut.reduce((somme, s) => somme + s.total, 0),
+          disponibles: exemplaires['disponible'] || 0,
+          empruntes: exemplaires['emprunté'] || 0,
+          reserves: exemplaires['réservé'] || 0
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== PARAMÈTRES ====================
+
+// Politique de prêt initiale : catégories de lecteurs et matrice
+// catégorie × type_de_document ('*' = toutes catégories / tous types)
+const POLITIQUE_DEFAUT = {
+  categorie_inscription: 'standard',
+  categories: {
+    standard: { limite_emprunts: 3 }
+  },
+  matrice: [
+    { categorie: '*', type_de_document: '*', max_emprunts: 3, duree_jours: 30, max_prolongations: 2 }
+  ]
+};
+
+// Dernière version de la politique de prêt
+async function parametresCourants(sessionMongo) {
+  return db.collection("parametres")
+    .find({}, { session: sessionMongo })
+    .sort({ version: -1 })
+    .limit(1)
+    .next();
+}
+
+async function politiqueCourante(sessionMongo) {
+  const parametres = await parametresCourants(sessionMongo);
+  return parametres ? parametres.politique : POLITIQUE_DEFAUT;
+}
+
+// Cellule de la matrice la plus précise pour une catégorie et un type de document
+function regleApplicable(politique, categorie, typeDocument) {
+  const candidats = [
+    [categorie, typeDocument],
+    [categorie, '*'],
+    ['*', typeDocument],
+    ['*', '*']
+  ];
+  for (const [c, t] of candidats) {
+    const regle = politique.matrice.find(r => r.categorie === c && r.type_de_document === t);
+    if (regle) return regle;
+  }
+  return POLITIQUE_DEFAUT.matrice[0];
+}
+
+// Catégorie d'un lecteur (les anciens comptes n'en ont pas)
+function categorieUtilisateur(user, politique) {
+  return user.categorie || politique.categorie_inscription;
+}
+
+// Vérifie une politique envoyée par l'admin, renvoie la liste des erreurs
+function validerPolitique(politique) {
+  const erreurs = [];
+  const entierPositif = v => Number.isInteger(v) && v >= 0;
+  
+  if (!politique || typeof politique !== 'object') {
+    return ['Politique manquante'];
+  }
+  
+  const categories = politique.categories;
+  if (!categories || typeof categories !== 'object' || Object.keys(categories).length === 0) {
+    erreurs.push('Au moins une catégorie de lecteurs est requise');
+  } else {
+    for (const [nom, categorie] of Object.entries(categories)) {
+      if (!categorie || !entierPositif(categorie.limite_emprunts)) {
+        erreurs.push(`Catégorie "${nom}" : limite_emprunts doit être un entier positif`);
+      }
+    }
+    if (!categories[politique.categorie_inscription]) {
+      erreurs.push("La catégorie d'inscription doit faire partie des catégories");
+    }
+  }
+  
+  if (!Array.isArray(politique.matrice)) {
+    erreurs.push('La matrice doit être une liste de règles');
+  } else {
+    const vues = new Set();
+    politique.matrice.forEach((regle, i) => {
+      if (!regle.categorie || !regle.type_de_document) {
+        erreurs.push(`Règle ${i + 1} : catégorie et type de document requis`);
+        return;
+      }
+      if (regle.categorie !== '*' && categories && !categories[regle.categorie]) {
+        erreurs.push(`Règle ${i + 1} : catégorie "${regle.categorie}" inconnue`);
+      }
+      for (const champ of ['max_emprunts', 'duree_jours', 'max_prolongations']) {
+        if (!entierPositif(regle[champ])) {
+          erreurs.push(`Règle ${i + 1} : ${champ} doit être un entier positif`);
+        }
+      }
+      if (regle.duree_jours === 0) {
+        erreurs.push(`Règle ${i + 1} : la durée doit être d'au moins un jour`);
+      }
+      const cle = `${regle.categorie}|${regle.type_de_document}`;
+      if (vues.has(cle)) {
+        erreurs.push(`Règle ${i + 1} : doublon ${regle.categorie} × ${regle.type_de_document}`);
+      }
+      vues.add(cle);
+    });
+    if (!vues.has('*|*')) {
+      erreurs.push('Une règle par défaut (* × *) est requise');
+    }
+  }
+  
+  return erreurs;
+}
+
+// ==================== EXEMPLAIRES ====================
+
+// Un document (titre) possède un ou plusieurs exemplaires physiques, chacun avec
+// son code-barres, sa cote, son état et son propre statut de circulation.
+// FIELD9 du document résume la disponibilité de ses exemplaires.
+const ETATS_EXEMPLAIRE = ['neuf', 'bon', 'usé', 'abîmé'];
+const PREFIXE_CODE_BARRES = process.env.CODE_BARRES_PREFIXE || 'EX';
+
+// Code-barres suivant (compteur partagé entre les instances)
+async function genererCodeBarres(sessionMongo) {
+  const compteur = await db.collection('compteurs').findOneAndUpdate(
+    { _id: 'code_barres' },
+    { $inc: { valeur: 1 } },
+    { upsert: true, returnDocument: 'after', session: sessionMongo }
+  );
+  return PREFIXE_CODE_BARRES + String(compteur.valeur).padStart(8, '0');
+}
+
+// Nouvel exemplaire disponible d'un document (code-barres généré s'il n'est pas fourni)
+async function nouvelExemplaire(documentId, valeurs = {}, sessionMongo) {
+  return {
+    document_id: documentId,
+    code_barres: valeurs.code_barres || await genererCodeBarres(sessionMongo),
+    cote: valeurs.cote || null,
+    etat: valeurs.etat || 'bon',
+    statut: 'disponible',
+    emprunte_par: null,
+    date_emprunt: null,
+    reserve_pour: null,
+    date_ajout: new Date()
+  };
+}
+
+// Crée un exemplaire par défaut pour chacun des documents donnés
+async function creerExemplairesParDefaut(documentIds, sessionMongo) {
+  const exemplaires = [];
+  for (const documentId of documentIds) {
+    exemplaires.push(await nouvelExemplaire(documentId, {}, sessionMongo));
+  }
+  if (exemplaires.length > 0) {
+    await db.collection('exemplaires').insertMany(exemplaires, { session: sessionMongo });
+  }
+}
+
+// Recalcule la disponibilité agrégée d'un document à partir de ses exemplaires
+// (les exemplaires retirés ne comptent pas) et renvoie le nouveau FIELD9
+async function majDisponibilite(documentId, sessionMongo) {
+  const parStatut = await db.collection('exemplaires').aggregate([
+    { $match: { document_id: documentId, statut: { $ne: 'retiré' } } },
+    { $group: { _id: '$statut', total: { $sum: 1 } } }
+  ], { session: sessionMongo }).toArray();
+  
+  const compte = Object.fromEntries(parStatut.map(s => [s._id, s.total]));
+  const total = parStatut.reduce((somme, s) => somme + s.total, 0);
+  const disponibles = compte['disponible'] || 0;
+  // Sans exemplaire en circulation, le document ne reviendra pas : ni emprunté ni réservable
+  const statut = total === 0 ? 'indisponible'
+    : disponibles > 0 ? 'disponible' : compte['réservé'] ? 'réservé' : 'emprunté';
+  
+  await db.collection('documents').updateOne(
+    { _id: documentId },
+    { $set: { FIELD9: statut, exemplaires_total: total, exemplaires_disponibles: disponibles } },
+    { session: sessionMongo }
+  );
+  return statut;
+}
+
+// Champs d'un exemplaire visibles des lecteurs
+function exemplairePublic(exemplaire) {
+  const { _id, code_barres, cote, etat, statut } = exemplaire;
+  return { _id, code_barres, cote, etat, statut };
+}
+
+// ==================== CIRCULATION ====================
+
+// Erreur métier renvoyée au client avec son code HTTP
+function erreurHttp(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Exécute une fonction dans une transaction MongoDB (annulée en cas d'erreur)
+async function avecTransaction(fn) {
+  const sessionMongo = client.startSession();
+  try {
+    return await sessionMongo.withTransaction(() => fn(sessionMongo));
+  } finally {
+    await sessionMongo.endSession();
+  }
+}
+
+// Emprunt atomique : réserve une place sur le quota de l'utilisateur,
+// prend un exemplaire libre (ou celui mis de côté pour lui) puis crée l'emprunt.
+// options.codeBarres : exemplaire précis (guichet) ; options.par : agent qui enregistre le prêt.
+// À appeler dans une transaction : toute erreur annule les écritures précédentes.
+async function effectuerEmprunt(userId, documentId, sessionMongo, options = {}) {
+  const user = await db.collection('utilisateurs').findOne({ _id: userId }, { session: sessionMongo });
+  if (!user) {
+    throw erreurHttp(404, 'Utilisateur non trouvé');
+  }
+  
+  // Compte suspendu par un admin : aucun emprunt, quel que soit le canal
+  if (user.suspendu) {
+    throw erreurHttp(403, 'Compte suspendu, contactez la médiathèque');
+  }
+  
+  // Vérifier pénalités
+  const penalites = await soldePenalites(userId, sessionMongo);
+  if (penalites.bloque) {
+    throw erreurHttp(403, penalites.suspendu_jusqu_au
+      ? `Emprunts suspendus jusqu'au ${penalites.suspendu_jusqu_au.toLocaleDateString('fr-FR')}`
+      : `Emprunt impossible : ${penalites.solde.toFixed(2)} € de pénalités à régler`);
+  }
+  
+  // Vérifier limite (incrément conditionnel, sans fenêtre entre lecture et écriture)
+  const quota = await db.collection('utilisateurs').findOneAndUpdate(
+    { 
+      _id: userId,
+      $expr: { $lt: [{ $ifNull: ["$emprunts_actuels", 0] }, "$limite_emprunts"] }
+    },
+    { $inc: { emprunts_actuels: 1 } },
+    { session: sessionMongo }
+  );
+  if (!quota) {
+    throw erreurHttp(400, `Limite d'emprunts atteinte (${user.limite_emprunts})`);
+  }
+  
+  const document = await db.collection("documents").findOne(
+    { _id: documentId, ...NON_ARCHIVE },
+    { session: sessionMongo }
+  );
+  if (!document) {
+    throw erreurHttp(404, "Document non trouvé");
+  }
+  
+  // Un seul exemplaire d'un même titre à la fois
+  const dejaEmprunte = await db.collection("emprunts").findOne(
+    { document_id: documentId, utilisateur_id: userId, statut: 'emprunté' },
+    { session: sessionMongo }
+  );
+  if (dejaEmprunte) {
+    throw erreurHttp(400, "Vous avez déjà emprunté ce document");
+  }
+  
+  const maintenant = new Date();
+  const miseAJourExemplaire = { 
+    $set: { 
+      statut: "emprunté",
+      emprunte_par: user.email,
+      date_emprunt: maintenant,
+      reserve_pour: null
+    }
+  };
+  
+  let exemplaire;
+  if (options.codeBarres) {
+    // Exemplaire scanné : libre, ou mis de côté pour cet utilisateur
+    exemplaire = await db.collection("exemplaires").findOneAndUpdate(
+      {
+        code_barres: options.codeBarres,
+        document_id: documentId,
+        $or: [{ statut: "disponible" }, { statut: "réservé", reserve_pour: userId }]
+      },
+      miseAJourExemplaire,
+      { session: sessionMongo }
+    );
+    if (!exemplaire) {
+      throw erreurHttp(400, `Exemplaire ${options.codeBarres} non disponible`);
+    }
+  } else {
+    // Exemplaire mis de côté pour cet utilisateur, sinon le premier disponible
+    exemplaire = await db.collection("exemplaires").findOneAndUpdate(
+      { document_id: documentId, statut: "réservé", reserve_pour: userId },
+      miseAJourExemplaire,
+      { session: sessionMongo }
+    ) || await db.collection("exemplaires").findOneAndUpdate(
+      { document_id: documentId, statut: "disponible" },
+      miseAJourExemplaire,
+      { session: sessionMongo, sort: { code_barres: 1 } }
+    );
+    if (!exemplaire) {
+      throw erreurHttp(400, "Document non disponible");
+    }
+  }
+  
+  // Réservation honorée : retirée de la file ; si un autre exemplaire
+  // avait été mis de côté pour cet utilisateur, il passe au suivant
+  const honoree = await db.collection("documents").findOneAndUpdate(
+    { _id: documentId, "file_attente.utilisateur_id": userId },
+    { $pull: { file_attente: { utilisateur_id: userId } } },
+    { session: sessionMongo }
+  );
+  if (honoree) {
+    await libererExemplaireReserve(documentId, userId, sessionMongo);
+  }
+  
+  await db.collection("documents").updateOne(
+    { _id: documentId },
+    { $inc: { reservations: 1 } },
+    { session: sessionMongo }
+  );
+  await majDisponibilite(documentId, sessionMongo);
+  
+  // Règle de la politique de prêt pour cette catégorie de lecteur et ce type de document
+  const politique = await politiqueCourante(sessionMongo);
+  const regle = regleApplicable(politique, categorieUtilisateur(user, politique), document.type_de_document);
+  
+  const filtreEnCours = { utilisateur_id: userId, statut: 'emprunté' };
+  if (regle.type_de_document !== '*') {
+    filtreEnCours.type_de_document = document.type_de_document;
+  }
+  const enCours = await db.collection("emprunts").countDocuments(filtreEnCours, { session: sessionMongo });
+  if (enCours >= regle.max_emprunts) {
+    throw erreurHttp(400, regle.type_de_document === '*'
+      ? `Limite d'emprunts atteinte (${regle.max_emprunts})`
+      : `Limite d'emprunts atteinte pour le type "${document.type_de_document}" (${regle.max_emprunts})`);
+  }
+  
+  // Date de retour
+  const dateRetour = new Date(maintenant);
+  dateRetour.setDate(dateRetour.getDate() + regle.duree_jours);
+  
+  const emprunt = {
+    document_id: documentId,
+    exemplaire_id: exemplaire._id,
+    code_barres: exemplaire.code_barres,
+    document_titre: document.titre,
+    type_de_document: document.type_de_document,
+    utilisateur_id: userId,
+    utilisateur_email: user.email,
+    date_emprunt: maintenant,
+    date_retour_prevu: dateRetour,
+    date_retour_reel: null,
+    statut: 'emprunté'
+  };
+  if (options.par) {
+    emprunt.enregistre_par = options.par;
+  }
+  const result = await db.collection("emprunts").insertOne(emprunt, { session: sessionMongo });
+  
+  await journaliser(options.req, 'emprunt.creation', { type: 'emprunt', id: result.insertedId, libelle: document.titre }, {
+    apres: {
+      statut: emprunt.statut,
+      code_barres: emprunt.code_barres,
+      utilisateur_email: emprunt.utilisateur_email,
+      date_retour_prevu: emprunt.date_retour_prevu
+    },
+    details: { document_id: documentId, exemplaire_id: exemplaire._id, utilisateur_id: userId }
+  }, sessionMongo);
+  
+  return { _id: result.insertedId, ...emprunt };
+}
+
+// Retour atomique : clôt l'emprunt en cours désigné par le filtre, libère le quota
+// de l'utilisateur puis passe l'exemplaire rendu au suivant de la file d'attente.
+// options.par : agent qui enregistre le retour (guichet).
+async function effectuerRetour(filtreEmprunt, sessionMongo, options = {}) {
+  const retour = { date_retour_reel: new Date(), statut: 'retourné' };
+  if (options.par) {
+    retour.retour_enregistre_par = options.par;
+  }
+  const emprunt = await db.collection("emprunts").findOneAndUpdate(
+    { ...filtreEmprunt, statut: 'emprunté' },
+    { $set: retour },
+    { session: sessionMongo, returnDocument: 'after' }
+  );
+  
+  if (!emprunt) {
+    throw erreurHttp(400, "Vous n'avez pas emprunté ce document");
+  }
+  
+  await db.collection("utilisateurs").updateOne(
+    { _id: emprunt.utilisateur_id, emprunts_actuels: { $gt: 0 } },
+    { $inc: { emprunts_actuels: -1 } },
+    { session: sessionMongo }
+  );
+  
+  // Pénalité éventuelle pour retard
+  const penalite = await appliquerPenaliteRetard(emprunt, sessionMongo);
+  
+  // Exemplaire rendu : mis de côté pour le lecteur suivant ou remis en rayon
+  const exemplaire = await db.collection("exemplaires").findOne(
+    { _id: emprunt.exemplaire_id },
+    { session: sessionMongo }
+  );
+  const suivant = exemplaire
+    ? await attribuerExemplaireSuivant(exemplaire, sessionMongo)
+    : null;
+  
+  await journaliser(options.req, 'emprunt.retour', { type: 'emprunt', id: emprunt._id, libelle: emprunt.document_titre }, {
+    avant: { statut: 'emprunté', date_retour_reel: null },
+    apres: { statut: emprunt.statut, date_retour_reel: emprunt.date_retour_reel },
+    details: {
+      document_id: emprunt.document_id,
+      utilisateur_id: emprunt.utilisateur_id,
+      penalite: penalite ? penalite.type : null,
+      mis_de_cote_pour: suivant ? suivant.utilisateur_id : null
+    }
+  }, sessionMongo);
+  
+  return { emprunt, suivant, penalite };
+}
+
+// Règle de la politique qui s'applique à un emprunt existant
+async function regleEmprunt(emprunt) {
+  const politique = await politiqueCourante();
+  const user = await db.collection('utilisateurs').findOne({ _id: emprunt.utilisateur_id });
+  return regleApplicable(politique, categorieUtilisateur(user || {}, politique), emprunt.type_de_document);
+}
+
+// Prolongation : refusée si l'emprunt est en retard, si le nombre maximum
+// de prolongations est atteint ou si un autre lecteur a réservé le document.
+async function prolongerEmprunt(filtreEmprunt, req) {
+  const emprunt = await db.collection("emprunts").findOne({ ...filtreEmprunt, statut: 'emprunté' });
+  if (!emprunt) {
+    throw erreurHttp(404, "Emprunt non trouvé");
+  }
+  
+  const maintenant = new Date();
+  if (emprunt.date_retour_prevu < maintenant) {
+    throw erreurHttp(400, "Emprunt en retard : veuillez retourner le document");
+  }
+  
+  const regle = await regleEmprunt(emprunt);
+  const nbProlongations = emprunt.nb_prolongations || 0;
+  if (nbProlongations >= regle.max_prolongations) {
+    throw erreurHttp(400, `Nombre maximum de prolongations atteint (${regle.max_prolongations})`);
+  }
+  
+  // Lecteurs encore en attente d'un exemplaire
+  const reserve = await db.collection("documents").findOne({ 
+    _id: emprunt.document_id,
+    file_attente: { $elemMatch: { statut: "en attente" } }
+  });
+  if (reserve) {
+    throw erreurHttp(400, "Document réservé par un autre lecteur : prolongation impossible");
+  }
+  
+  const nouvelleDate = new Date(emprunt.date_retour_prevu);
+  nouvelleDate.setDate(nouvelleDate.getDate() + regle.duree_jours);
+  
+  // Conditionnel sur l'échéance lue : deux prolongations simultanées ne se cumulent pas
+  const resultat = await db.collection("emprunts").findOneAndUpdate(
+    { _id: emprunt._id, statut: 'emprunté', date_retour_prevu: emprunt.date_retour_prevu },
+    { 
+      $set: { date_retour_prevu: nouvelleDate },
+      $inc: { nb_prolongations: 1 },
+      $push: { 
+        prolongations: {
+          date: maintenant,
+          ancienne_date_retour: emprunt.date_retour_prevu,
+          nouvelle_date_retour: nouvelleDate,
+          par: req.session.email
+        }
+      }
+    },
+    { returnDocument: 'after' }
+  );
+  if (!resultat) {
+    throw erreurHttp(409, "Emprunt modifié entre-temps, veuillez réessayer");
+  }
+  
+  await journaliser(req, 'emprunt.prolongation', { type: 'emprunt', id: emprunt._id, libelle: emprunt.document_titre }, {
+    avant: { date_retour_prevu: emprunt.date_retour_prevu, nb_prolongations: nbProlongations },
+    apres: { date_retour_prevu: resultat.date_retour_prevu, nb_prolongations: resultat.nb_prolongations }
+  });
+  
+  return resultat;
+}
+
+// ==================== PÉNALITÉS ====================
+
+// Sanction d'un retard : 'amende' (par jour, plafonnée) ou 'suspension' (jours sans emprunt)
+const PENALITE_MODE = process.env.PENALITE_MODE || 'amende';
+const AMENDE_PAR_JOUR = parseFloat(process.env.AMENDE_PAR_JOUR) || 0.2;
+const AMENDE_MAX = parseFloat(process.env.AMENDE_MAX) || 10;
+const SUSPENSION_JOURS_PAR_JOUR_RETARD = parseInt(process.env.SUSPENSION_JOURS_PAR_JOUR_RETARD) || 1;
+
+const MS_PAR_JOUR = 24 * 60 * 60 * 1000;
+
+// Filtre des pénalités qui bloquent les emprunts (amende due ou suspension en cours)
+function filtrePenalitesBloquantes(userId) {
+  return {
+    utilisateur_id: userId,
+    $or: [
+      { type: 'amende', statut: 'impayée' },
+      { type: 'suspension', statut: 'active', date_fin_suspension: { $gt: new Date() } }
+    ]
+  };
+}
+
+// Solde de l'utilisateur : total des amendes dues et fin de suspension éventuelle
+async function soldePenalites(userId, sessionMongo) {
+  const penalites = await db.collection("penalites").find(
+    filtrePenalitesBloquantes(userId),
+    { session: sessionMongo }
+  ).toArray();
+  
+  const solde = penalites
+    .filter(p => p.type === 'amende')
+    .reduce((total, p) => total + p.montant, 0);
+  const finsSuspension = penalites
+    .filter(p => p.type === 'suspension')
+    .map(p => p.date_fin_suspension);
+  
+  return {
+    solde: Math.round(solde * 100) / 100,
+    suspendu_jusqu_au: finsSuspension.length > 0 ? new Date(Math.max(...finsSuspension)) : null,
+    bloque: penalites.length > 0
+  };
+}
+
+// Crée la pénalité d'un emprunt rendu en retard (rien si rendu à temps)
+async function appliquerPenaliteRetard(emprunt, sessionMongo) {
+  const joursRetard = Math.ceil((emprunt.date_retour_reel - emprunt.date_retour_prevu) / MS_PAR_JOUR);
+  if (joursRetard <= 0) return null;
+  
+  const penalite = {
+    utilisateur_id: emprunt.utilisateur_id,
+    utilisateur_email: emprunt.utilisateur_email,
+    emprunt_id: emprunt._id,
+    document_titre: emprunt.document_titre,
+    jours_retard: joursRetard,
+    date_creation: new Date()
+  };
+  
+  if (PENALITE_MODE === 'suspension') {
+    const fin = new Date(emprunt.date_retour_reel);
+    fin.setDate(fin.getDate() + joursRetard * SUSPENSION_JOURS_PAR_JOUR_RETARD);
+    Object.assign(penalite, { type: 'suspension', statut: 'active', date_fin_suspension: fin });
+  } else {
+    const montant = Math.min(joursRetard * AMENDE_PAR_JOUR, AMENDE_MAX);
+    Object.assign(penalite, { type: 'amende', statut: 'impayée', montant: Math.round(montant * 100) / 100 });
+  }
+  
+  const result = await db.collection("penalites").insertOne(penalite, { session: sessionMongo });
+  return { _id: result.insertedId, ...penalite };
+}
+
+// ==================== RÉSERVATIONS ====================
+
+// Nombre de jours pendant lesquels un document retourné reste de côté
+const DELAI_RETRAIT_JOURS = 3;
+
+// Retire les informations personnelles de la file d'attente (vue publique)
+function masquerFileAttente(document) {
+  const { file_attente, ...reste } = document;
+  return { ...reste, taille_file_attente: (file_attente || []).length };
+}
+
+// Met l'exemplaire de côté pour le premier lecteur encore en attente,
+// sinon le remet en rayon ; renvoie la réservation servie (ou null)
+async function attribuerExemplaireSuivant(exemplaire, sessionMongo) {
+  const documentId = exemplaire.document_id;
+  const document = await db.collection("documents").findOne({ _id: documentId }, { session: sessionMongo });
+  const suivant = ((document && document.file_attente) || []).find(r => r.statut === "en attente");
+  
+  if (!suivant) {
+    await db.collection("exemplaires").updateOne(
+      { _id: exemplaire._id },
+      { 
+        $set: { 
+          statut: "disponible",
+          emprunte_par: null,
+          date_emprunt: null,
+          reserve_pour: null
+        }
+      },
+      { session: sessionMongo }
+    );
+    await majDisponibilite(documentId, sessionMongo);
+    return null;
+  }
+  
+  const dateLimite = new Date();
+  dateLimite.setDate(dateLimite.getDate() + DELAI_RETRAIT_JOURS);
+  
+  await db.collection("exemplaires").updateOne(
+    { _id: exemplaire._id },
+    { 
+      $set: { 
+        statut: "réservé",
+        emprunte_par: null,
+        date_emprunt: null,
+        reserve_pour: suivant.utilisateur_id
+      }
+    },
+    { session: sessionMongo }
+  );
+  await db.collection("documents").updateOne(
+    { _id: documentId, "file_attente.utilisateur_id": suivant.utilisateur_id },
+    { 
+      $set: { 
+        "file_attente.$.statut": "prête",
+        "file_attente.$.date_limite_retrait": dateLimite
+      }
+    },
+    { session: sessionMongo }
+  );
+  await majDisponibilite(documentId, sessionMongo);
+  return suivant;
+}
+
+// Repasse au suivant l'exemplaire mis de côté pour un lecteur (réservation annulée ou expirée)
+async function libererExemplaireReserve(documentId, userId, sessionMongo) {
+  const exemplaire = await db.collection("exemplaires").findOne(
+    { document_id: documentId, statut: "réservé", reserve_pour: userId },
+    { session: sessionMongo }
+  );
+  if (exemplaire) {
+    await attribuerExemplaireSuivant(exemplaire, sessionMongo);
+  }
+}
+
+// Passe au suivant quand le délai de retrait d'une réservation est dépassé
+async function expirerRetraits() {
+  const maintenant = new Date();
+  const expiree = { statut: "prête", date_limite_retrait: { $lt: maintenant } };
+  const documentsExpires = await db.collection("documents").find({
+    file_attente: { $elemMatch: expiree }
+  }).toArray();
+  
+  for (const document of documentsExpires) {
+    const reservations = document.file_attente.filter(r => 
+      r.statut === "prête" && r.date_limite_retrait < maintenant
+    );
+    for (const reservation of reservations) {
+      await avecTransaction(async sessionMongo => {
+        // Conditionnel : une autre requête a pu traiter cette réservation entre-temps
+        const result = await db.collection("documents").updateOne(
+          { 
+            _id: document._id,
+            file_attente: { $elemMatch: { ...expiree, utilisateur_id: reservation.utilisateur_id } }
+          },
+          { $pull: { file_attente: { utilisateur_id: reservation.utilisateur_id } } },
+          { session: sessionMongo }
+        );
+        if (result.modifiedCount === 1) {
+          await libererExemplaireReserve(document._id, reservation.utilisateur_id, sessionMongo);
+        }
+      });
+    }
+  }
+}
+
+// Retire un utilisateur de la file d'attente d'un document
+async function annulerReservation(documentId, userId, req) {
+  return avecTransaction(async sessionMongo => {
+    const document = await db.collection("documents").findOneAndUpdate(
+      { _id: documentId, "file_attente.utilisateur_id": userId },
+      { $pull: { file_attente: { utilisateur_id: userId } } },
+      { session: sessionMongo }
+    );
+    if (!document) return false;
+    
+    // L'exemplaire mis de côté pour cet utilisateur passe au suivant
+    const reservation = document.file_attente.find(r => r.utilisateur_id.equals(userId));
+    if (reservation.statut === "prête") {
+      await libererExemplaireReserve(documentId, userId, sessionMongo);
+    }
+    
+    await journaliser(req, 'reservation.annulation', { type: 'document', id: documentId, libelle: document.titre }, {
+      avant: { reservation: reservation.statut },
+      apres: { reservation: null },
+      details: { utilisateur_id: userId, utilisateur_email: reservation.utilisateur_email }
+    }, sessionMongo);
+    return true;
+  });
+}
+
+// Réserver un document emprunté
+app.post("/api/documents/:id/reserver", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const userId = new ObjectId(req.session.userId);
+    const documentId = new ObjectId(req.params.id);
+    
+    const user = await db.collection('utilisateurs').findOne({ _id: userId });
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Utilisateur non trouvé' 
+      });
+    }
+    
+    await expirerRetraits();
+    
+    const document = await db.collection("documents").findOne({ _id: documentId, ...NON_ARCHIVE });
+    if (!document) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Document non trouvé" 
+      });
+    }
+    
+    if (document.FIELD9 === "disponible") {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Document disponible : empruntez-le directement" 
+      });
+    }
+    
+    if (document.FIELD9 === "indisponible") {
+      return res.status(409).json({ 
+        success: false, 
+        error: "Aucun exemplaire en circulation : réservation impossible" 
+      });
+    }
+    
+    const empruntEnCours = await db.collection("emprunts").findOne({
+      document_id: documentId,
+      utilisateur_id: userId,
+      statut: 'emprunté'
+    });
+    if (empruntEnCours) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Vous avez déjà emprunté ce document" 
+      });
+    }
+    
+    // Ajout en fin de file, uniquement si l'utilisateur n'y est pas déjà
+    const modifie = await db.collection("documents").findOneAndUpdate(
+      { _id: documentId, "file_attente.utilisateur_id": { $ne: userId } },
+      { 
+        $push: { 
+          file_attente: {
+            utilisateur_id: userId,
+            utilisateur_email: user.email,
+            date_reservation: new Date(),
+            statut: "en attente",
+            date_limite_retrait: null
+          }
+        }
+      },
+      { returnDocument: 'after', projection: { file_attente: 1 } }
+    );
+    
+    if (!modifie) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Vous avez déjà réservé ce document" 
+      });
+    }
+    
+    // Position lue dans la file après l'ajout : exacte même avec des réservations simultanées
+    const position = modifie.file_attente.findIndex(r => r.utilisateur_id.equals(userId)) + 1;
+    
+    await journaliser(req, 'reservation.creation', { type: 'document', id: documentId, libelle: document.titre }, {
+      apres: { reservation: 'en attente' },
+      details: { position }
+    });
+    
+    res.json({
+      success: true,
+      message: `Réservation enregistrée (position ${position} dans la file d'attente)`,
+      position
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Annuler sa réservation
+app.post("/api/documents/:id/annuler-reservation", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const userId = new ObjectId(req.session.userId);
+    const documentId = new ObjectId(req.params.id);
+    
+    const annulee = await annulerReservation(documentId, userId, req);
+    if (!annulee) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Vous n'avez pas réservé ce document" 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: "Réservation annulée"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Mes réservations (avec position dans la file)
+app.get("/api/utilisateur/reservations", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const userId = new ObjectId(req.session.userId);
+    
+    await expirerRetraits();
+    
+    const documents = await db.collection("documents").find({
+      "file_attente.utilisateur_id": userId
+    }).toArray();
+    
+    const reservations = documents.map(document => {
+      const index = document.file_attente.findIndex(r => r.utilisateur_id.equals(userId));
+      const reservation = document.file_attente[index];
+      return {
+        document_id: document._id,
+        document_titre: document.titre,
+        position: index + 1,
+        taille_file_attente: document.file_attente.length,
+        statut: reservation.statut,
+        date_reservation: reservation.date_reservation,
+        date_limite_retrait: reservation.date_limite_retrait
+      };
+    });
+    
+    res.json({
+      success: true,
+      reservations: reservations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== ADMIN ====================
+
+// Dashboard admin
+app.get("/api/admin/dashboard", requirePermission('stats:read'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const totalDocuments = await db.collection("documents").countDocuments(NON_ARCHIVE);
+    const documentsDisponibles = await db.collection("documents").countDocuments({ 
+      ...NON_ARCHIVE,
+      FIELD9: "disponible" 
+    });
+    const totalUtilisateurs = await db.collection("utilisateurs").countDocuments();
+    const empruntsEnCours = await db.collection("emprunts").countDocuments({ 
+      statut: 'emprunté' 
+    });
+    
+    // Emprunts en retard
+    const aujourdhui = new Date();
+    const empruntsRetard = await db.collection("emprunts").countDocuments({
+      statut: 'emprunté',
+      date_retour_prevu: { $lt: aujourdhui }
+    });
+    
+    res.json({
+      success: true,
+      dashboard: {
+        totalDocuments,
+        documentsDisponibles,
+        totalUtilisateurs,
+        empruntsEnCours,
+        empruntsRetard
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Journal d'audit (admin) : filtres et pagination par curseur, du plus récent au plus ancien
+app.get("/api/admin/audit", requirePermission('audit:read'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChamps(req.query, {
+      action: { type: 'texte', longueur_max: 100 },
+      acteur: { type: 'texte', longueur_max: 200 },
+      cible_type: { type: 'texte', longueur_max: 50 },
+      cible_id: { type: 'texte', longueur_max: 100 },
+      depuis: { type: 'date' },
+      jusqu_au: { type: 'date', fin: true },
+      limite: { type: 'entier', min: 1, max: 200 },
+      curseur: { type: 'texte' }
+    });
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Filtres invalides', erreurs);
+    }
+    
+    const filtre = {};
+    // "emprunt" couvre emprunt.creation, emprunt.retour...
+    if (valeurs.action) {
+      filtre.action = valeurs.action.includes('.')
+        ? valeurs.action
+        : { $regex: `^${echapperRegex(valeurs.action)}\\.` };
+    }
+    if (valeurs.acteur) {
+      filtre[estObjectId(valeurs.acteur) ? 'acteur.id' : 'acteur.email'] =
+        estObjectId(valeurs.acteur) ? new ObjectId(valeurs.acteur) : valeurs.acteur.toLowerCase();
+    }
+    if (valeurs.cible_type) filtre['cible.type'] = valeurs.cible_type;
+    if (valeurs.cible_id) {
+      filtre['cible.id'] = estObjectId(valeurs.cible_id)
+        ? { $in: [new ObjectId(valeurs.cible_id), valeurs.cible_id] }
+        : valeurs.cible_id;
+    }
+    if (valeurs.depuis || valeurs.jusqu_au) {
+      filtre.date = {};
+      if (valeurs.depuis) filtre.date.$gte = valeurs.depuis;
+      if (valeurs.jusqu_au) filtre.date.$lt = valeurs.jusqu_au;
+    }
+    
+    const total = await db.collection("audit").countDocuments(filtre);
+    
+    const limite = valeurs.limite || 50;
+    const filtrePage = { ...filtre };
+    if (valeurs.curseur) {
+      const curseur = decoderCurseur(valeurs.curseur);
+      if (!curseur) {
+        return repondreInvalide(res, 'Curseur invalide', [{ champ: 'curseur', message: 'curseur invalide' }]);
+      }
+      filtrePage.$or = [
+        { date: { $lt: curseur.v } },
+        { date: curseur.v, _id: { $lt: curseur.id } }
+      ];
+    }
+    
+    const resultats = await db.collection("audit")
+      .find(filtrePage)
+      .sort({ date: -1, _id: -1 })
+      .limit(limite + 1)
+      .toArray();
+    const pageSuivante = resultats.length > limite;
+    const entrees = resultats.slice(0, limite);
+    
+    res.json({
+      success: true,
+      count: entrees.length,
+      total,
+      entrees,
+      curseur_suivant: pageSuivante ? encoderCurseur(entrees[entrees.length - 1], 'date') : null,
+      actions: (await db.collection("audit").distinct("action")).sort(),
+      retention_jours: AUDIT_RETENTION_JOURS
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Liste utilisateurs
+app.get("/api/admin/utilisateurs", requirePermission('users:read', 'users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const utilisateurs = await db.collection("utilisateurs").find({}, {
+      projection: { password: 0 }
+    }).toArray();
+    
+    res.json({
+      success: true,
+      utilisateurs: utilisateurs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Règles des champs d'un compte saisis par un admin
+const REGLES_UTILISATEUR = {
+  nom: { type: 'texte', requis: true, longueur_max: 100 },
+  email: { type: 'email', requis: true },
+  role: { type: 'texte', longueur_max: 30 },
+  limite_emprunts: { type: 'entier', min: 0 },
+  categorie: { type: 'texte' }
+};
+
+// Valide les champs d'un compte envoyés par un admin (creation = champs obligatoires)
+// L'email n'est modifiable qu'à la création.
+async function validerChampsUtilisateur(body, creation) {
+  const regles = { ...REGLES_UTILISATEUR };
+  if (!creation) delete regles.email;
+  
+  const { erreurs, valeurs } = validerChamps(body, regles, { partiel: !creation });
+  
+  if (creation) {
+    valeurs.role = valeurs.role || 'user';
+    erreurs.push(...verifierMotDePasse(body.password, body.email)
+      .map(message => ({ champ: 'password', message })));
+  }
+  if (valeurs.categorie !== undefined) {
+    const politique = await politiqueCourante();
+    if (!politique.categories[valeurs.categorie]) {
+      erreurs.push({ champ: 'categorie', message: `catégorie "${valeurs.categorie}" inconnue` });
+      delete valeurs.categorie;
+    }
+  }
+  if (valeurs.role !== undefined && !(await db.collection('roles').findOne({ _id: valeurs.role }))) {
+    erreurs.push({ champ: 'role', message: `rôle "${valeurs.role}" inconnu` });
+    delete valeurs.role;
+  }
+  
+  return { erreurs, valeurs };
+}
+
+// Vrai si retirer ce compte (rétrogradation, suspension, suppression)
+// laisserait la médiathèque sans administrateur actif.
+// À appeler dans la transaction qui retire le compte : le compteur "administrateurs"
+// y est modifié, si bien que deux retraits simultanés entrent en conflit et que
+// le second est rejoué (puis refusé) au lieu de passer sur un décompte périmé.
+async function estDernierAdmin(userId, sessionMongo) {
+  await db.collection("compteurs").updateOne(
+    { _id: 'administrateurs' },
+    { $inc: { retraits: 1 } },
+    { upsert: true, session: sessionMongo }
+  );
+  const user = await db.collection("utilisateurs").findOne({ _id: userId }, { session: sessionMongo });
+  if (!user || user.role !== 'admin' || user.suspendu) return false;
+  const autresAdmins = await db.collection("utilisateurs").countDocuments({
+    _id: { $ne: userId },
+    role: 'admin',
+    suspendu: { $ne: true }
+  }, { session: sessionMongo });
+  return autresAdmins === 0;
+}
+
+// Mot de passe temporaire lisible (réinitialisation par un admin)
+function motDePasseTemporaire() {
+  return crypto.randomBytes(6).toString('base64url');
+}
+
+// Créer un utilisateur (admin)
+app.post("/api/admin/utilisateurs", requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = await validerChampsUtilisateur(req.body, true);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Utilisateur invalide', erreurs);
+    }
+    if (await depassePermissions(req, valeurs.role)) {
+      return refuserRoleSuperieur(res);
+    }
+    
+    const userExists = await db.collection('utilisateurs').findOne({ email: valeurs.email });
+    if (userExists) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Email déjà utilisé' 
+      });
+    }
+    
+    const politique = await politiqueCourante();
+    const categorie = valeurs.categorie || politique.categorie_inscription;
+    
+    const result = await db.collection('utilisateurs').insertOne({
+      nom: valeurs.nom,
+      email: valeurs.email,
+      password: await hashPassword(req.body.password),
+      role: valeurs.role,
+      categorie,
+      date_creation: new Date(),
+      limite_emprunts: valeurs.limite_emprunts !== undefined
+        ? valeurs.limite_emprunts
+        : politique.categories[categorie].limite_emprunts,
+      emprunts_actuels: 0,
+      cree_par: req.session.email
+    });
+    
+    await journaliser(req, 'utilisateur.creation', { type: 'utilisateur', id: result.insertedId, libelle: valeurs.email }, {
+      apres: champsAudit({ ...valeurs, categorie }, ['nom', 'email', 'role', 'categorie', 'limite_emprunts'])
+    });
+    
+    res.json({
+      success: true,
+      message: 'Utilisateur créé',
+      userId: result.insertedId
+    });
+  } catch (error) {
+    if (estErreurSchema(error)) {
+      return repondreInvalide(res, 'Utilisateur invalide', detailsErreurSchema(error));
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Modifier nom, rôle, catégorie ou limite d'un utilisateur (admin)
+app.patch("/api/admin/utilisateurs/:id", requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const userId = new ObjectId(req.params.id);
+    const { erreurs, valeurs } = await validerChampsUtilisateur(req.body, false);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Utilisateur invalide', erreurs);
+    }
+    
+    const user = await db.collection("utilisateurs").findOne({ _id: userId });
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Utilisateur non trouvé' 
+      });
+    }
+    
+    if (await depassePermissions(req, user.role) || (valeurs.role && await depassePermissions(req, valeurs.role))) {
+      return refuserRoleSuperieur(res);
+    }
+    
+    const modifie = await avecTransaction(async sessionMongo => {
+      if (valeurs.role && valeurs.role !== 'admin' && await estDernierAdmin(userId, sessionMongo)) {
+        throw erreurHttp(409, 'Impossible de rétrograder le dernier administrateur');
+      }
+      return db.collection("utilisateurs").findOneAndUpdate(
+        { _id: userId },
+        { $set: { ...valeurs, date_modification: new Date() } },
+        { returnDocument: 'after', projection: { password: 0 }, session: sessionMongo }
+      );
+    });
+    
+    await journaliser(req, 'utilisateur.modification', { type: 'utilisateur', id: userId, libelle: user.email }, {
+      avant: champsAudit(user, Object.keys(valeurs)),
+      apres: valeurs
+    });
+    
+    res.json({
+      success: true,
+      message: 'Utilisateur modifié',
+      utilisateur: modifie
+    });
+  } catch (error) {
+    if (estErreurSchema(error)) {
+      return repondreInvalide(res, 'Utilisateur invalide', detailsErreurSchema(error));
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Suspendre un compte (admin) : la connexion est alors refusée
+app.post("/api/admin/utilisateurs/:id/suspendre", requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const user = await db.collection("utilisateurs").findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Utilisateur non trouvé' 
+      });
+    }
+    if (await depassePermissions(req, user.role)) {
+      return refuserRoleSuperieur(res);
+    }
+    await avecTransaction(async sessionMongo => {
+      if (await estDernierAdmin(user._id, sessionMongo)) {
+        throw erreurHttp(409, 'Impossible de suspendre le dernier administrateur');
+      }
+      await db.collection("utilisateurs").updateOne(
+        { _id: user._id },
+        { 
+          $set: { 
+            suspendu: true,
+            date_suspension: new Date(),
+            motif_suspension: req.body.motif || null
+          }
+        },
+        { session: sessionMongo }
+      );
+    });
+    await revoquerSessions(user._id);
+    
+    await journaliser(req, 'utilisateur.suspension', { type: 'utilisateur', id: user._id, libelle: user.email }, {
+      avant: { suspendu: user.suspendu || false },
+      apres: { suspendu: true },
+      details: { motif: req.body.motif || null }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Compte suspendu'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Réactiver un compte suspendu (admin)
+app.post("/api/admin/utilisateurs/:id/reactiver", requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    if (await compteHorsPortee(req, new ObjectId(req.params.id))) {
+      return refuserRoleSuperieur(res);
+    }
+    
+    const user = await db.collection("utilisateurs").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), suspendu: true },
+      { 
+        $set: { suspendu: false },
+        $unset: { date_suspension: "", motif_suspension: "" }
+      }
+    );
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Compte suspendu non trouvé' 
+      });
+    }
+    
+    await journaliser(req, 'utilisateur.reactivation', { type: 'utilisateur', id: user._id, libelle: user.email }, {
+      avant: { suspendu: true, motif_suspension: user.motif_suspension || null },
+      apres: { suspendu: false, motif_suspension: null }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Compte réactivé'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Forcer la réinitialisation du mot de passe (admin)
+// Le mot de passe temporaire n'est affiché qu'une fois ; il devra être changé à la connexion.
+app.post("/api/admin/utilisateurs/:id/reinitialiser-mot-de-passe", requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    if (await compteHorsPortee(req, new ObjectId(req.params.id))) {
+      return refuserRoleSuperieur(res);
+    }
+    
+    const temporaire = motDePasseTemporaire();
+    
+    const user = await db.collection("utilisateurs").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { 
+        $set: { 
+          password: await hashPassword(temporaire),
+          mot_de_passe_a_changer: true
+        }
+      }
+    );
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Utilisateur non trouvé' 
+      });
+    }
+    await revoquerSessions(req.params.id);
+    
+    await journaliser(req, 'utilisateur.reinitialisation_mot_de_passe', { type: 'utilisateur', id: user._id, libelle: user.email }, {
+      avant: { mot_de_passe_a_changer: user.mot_de_passe_a_changer || false },
+      apres: { mot_de_passe_a_changer: true }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Mot de passe réinitialisé',
+      mot_de_passe_temporaire: temporaire
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Emprunts en cours et passés d'un utilisateur (admin)
+app.get("/api/admin/utilisateurs/:id/emprunts", requirePermission('users:read', 'users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const userId = new ObjectId(req.params.id);
+    
+    const user = await db.collection("utilisateurs").findOne(
+      { _id: userId },
+      { projection: { password: 0 } }
+    );
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Utilisateur non trouvé' 
+      });
+    }
+    
+    const emprunts = await db.collection("emprunts").find({ utilisateur_id: userId })
+      .sort({ date_emprunt: -1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      utilisateur: user,
+      en_cours: emprunts.filter(e => e.statut === 'emprunté'),
+      historique: emprunts.filter(e => e.statut !== 'emprunté')
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Supprimer un utilisateur (admin) : refusé s'il a des emprunts en cours
+// ou s'il est le dernier administrateur. L'historique des emprunts est conservé.
+app.delete("/api/admin/utilisateurs/:id", requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const userId = new ObjectId(req.params.id);
+    
+    if (userId.equals(new ObjectId(req.session.userId))) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Vous ne pouvez pas supprimer votre propre compte' 
+      });
+    }
+    
+    const user = await db.collection("utilisateurs").findOne({ _id: userId });
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Utilisateur non trouvé' 
+      });
+    }
+    if (await depassePermissions(req, user.role)) {
+      return refuserRoleSuperieur(res);
+    }
+    const empruntsEnCours = await db.collection("emprunts").countDocuments({ 
+      utilisateur_id: userId,
+      statut: 'emprunté'
+    });
+    if (empruntsEnCours > 0) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Utilisateur avec ${empruntsEnCours} emprunt(s) en cours` 
+      });
+    }
+    
+    await avecTransaction(async sessionMongo => {
+      if (await estDernierAdmin(userId, sessionMongo)) {
+        throw erreurHttp(409, 'Impossible de supprimer le dernier administrateur');
+      }
+      await db.collection("utilisateurs").deleteOne({ _id: userId }, { session: sessionMongo });
+    });
+    await revoquerSessions(userId);
+    
+    await journaliser(req, 'utilisateur.suppression', { type: 'utilisateur', id: userId, libelle: user.email }, {
+      avant: champsAudit(user, ['nom', 'email', 'role', 'categorie', 'limite_emprunts', 'suspendu'])
+    });
+    
+    // Retirer ses réservations des files d'attente
+    const reserves = await db.collection("documents").find(
+      { "file_attente.utilisateur_id": userId },
+      { projection: { _id: 1 } }
+    ).toArray();
+    for (const document of reserves) {
+      await annulerReservation(document._id, userId, req);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Utilisateur supprimé'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Règles d'un rôle saisi par un admin
+const REGLES_ROLE = {
+  nom: { type: 'texte', requis: true, longueur_max: 100 },
+  permissions: { type: 'liste', requis: true }
+};
+
+// Valide un rôle ; les permissions doivent exister et être détenues par l'utilisateur connecté
+function validerRole(req, body, creation) {
+  const regles = creation
+    ? { code: { type: 'texte', requis: true, longueur_max: 30 }, ...REGLES_ROLE }
+    : REGLES_ROLE;
+  const { erreurs, valeurs } = validerChamps(body, regles, { partiel: !creation, strict: true });
+  
+  if (valeurs.code !== undefined && !/^[a-z0-9_-]+$/.test(valeurs.code)) {
+    erreurs.push({ champ: 'code', message: 'lettres minuscules, chiffres, - et _ uniquement' });
+  }
+  for (const permission of valeurs.permissions || []) {
+    if (!PERMISSIONS[permission]) {
+      erreurs.push({ champ: 'permissions', message: `permission "${permission}" inconnue` });
+    } else if (!req.permissions.includes(permission)) {
+      erreurs.push({ champ: 'permissions', message: `vous ne détenez pas la permission "${permission}"` });
+    }
+  }
+  return { erreurs, valeurs };
+}
+
+// Liste des rôles avec le nombre de comptes, et catalogue des permissions
+app.get("/api/admin/roles", requirePermission('roles:manage', 'users:read', 'users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const roles = await db.collection("roles").aggregate([
+      { $lookup: { from: "utilisateurs", localField: "_id", foreignField: "role", as: "comptes", pipeline: [{ $project: { _id: 1 } }] } },
+      { $addFields: { nombre_utilisateurs: { $size: "$comptes" } } },
+      { $project: { comptes: 0 } },
+      { $sort: { systeme: -1, nom: 1 } }
+    ]).toArray();
+    
+    res.json({
+      success: true,
+      count: roles.length,
+      roles,
+      permissions: PERMISSIONS
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Créer un rôle
+app.post("/api/admin/roles", requirePermission('roles:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerRole(req, req.body, true);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Rôle invalide', erreurs);
+    }
+    
+    const role = {
+      _id: valeurs.code,
+      nom: valeurs.nom,
+      permissions: valeurs.permissions,
+      date_creation: new Date(),
+      cree_par: req.session.email
+    };
+    try {
+      await db.collection("roles").insertOne(role);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Le rôle "${valeurs.code}" existe déjà` 
+        });
+      }
+      throw error;
+    }
+    
+    await journaliser(req, 'role.creation', { type: 'role', id: role._id, libelle: role.nom }, {
+      apres: { nom: role.nom, permissions: role.permissions }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Rôle créé',
+      role
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Modifier le nom ou les permissions d'un rôle (celles de "admin" sont fixes)
+app.patch("/api/admin/roles/:code", requirePermission('roles:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerRole(req, req.body, false);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Rôle invalide', erreurs);
+    }
+    if (req.params.code === 'admin' && valeurs.permissions) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Le rôle administrateur détient toujours toutes les permissions' 
+      });
+    }
+    if (await depassePermissions(req, req.params.code)) {
+      return refuserRoleSuperieur(res);
+    }
+    
+    const avant = await db.collection("roles").findOneAndUpdate(
+      { _id: req.params.code },
+      { $set: { ...valeurs, date_modification: new Date(), modifie_par: req.session.email } }
+    );
+    if (!avant) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Rôle non trouvé' 
+      });
+    }
+    
+    await journaliser(req, 'role.modification', { type: 'role', id: avant._id, libelle: valeurs.nom || avant.nom }, {
+      avant: champsAudit(avant, Object.keys(valeurs)),
+      apres: valeurs
+    });
+    
+    res.json({
+      success: true,
+      message: 'Rôle modifié',
+      role: { ...avant, ...valeurs }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Supprimer un rôle : refusé pour les rôles système et tant que des comptes le portent
+app.delete("/api/admin/roles/:code", requirePermission('roles:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const role = await db.collection("roles").findOne({ _id: req.params.code });
+    if (!role) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Rôle non trouvé' 
+      });
+    }
+    if (role.systeme) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Un rôle système ne peut pas être supprimé' 
+      });
+    }
+    if (await depassePermissions(req, role._id)) {
+      return refuserRoleSuperieur(res);
+    }
+    
+    const comptes = await db.collection("utilisateurs").countDocuments({ role: role._id });
+    if (comptes > 0) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `${comptes} compte(s) portent ce rôle : attribuez-leur un autre rôle d'abord` 
+      });
+    }
+    
+    await db.collection("roles").deleteOne({ _id: role._id });
+    
+    await journaliser(req, 'role.suppression', { type: 'role', id: role._id, libelle: role.nom }, {
+      avant: { nom: role.nom, permissions: role.permissions }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Rôle supprimé'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== IMPORT / EXPORT ====================
+
+const LIMITE_IMPORT = process.env.LIMITE_IMPORT || '10mb';
+const MAX_LIGNES_IMPORT = 10000;
+
+// Noms de colonnes reconnus automatiquement pour chaque champ (après normalisation)
+const SYNONYMES_COLONNES = {
+  titre: ['titre', 'title', 'intitule'],
+  auteur: ['auteur', 'auteurs', 'author', 'authors', 'createur'],
+  type_de_document: ['type_de_document', 'type', 'support', 'format'],
+  annee: ['annee', 'year', 'annee_publication', 'date_publication'],
+  isbn: ['isbn', 'isbn_13', 'isbn_10', 'isbn13', 'isbn10', 'ean'],
+  sujets: ['sujets', 'sujet', 'subjects', 'mots_cles']
+};
+
+// "Année de publication" -> "annee_de_publication"
+function normaliserNom(texte) {
+  return String(texte).trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Associe chaque colonne source à un champ ; la correspondance explicite l'emporte
+function construireCorrespondance(colonnes, explicite = {}) {
+  const correspondance = {};
+  for (const colonne of colonnes) {
+    if (explicite[colonne]) {
+      correspondance[colonne] = explicite[colonne];
+      continue;
+    }
+    const champ = Object.keys(SYNONYMES_COLONNES)
+      .find(c => SYNONYMES_COLONNES[c].includes(normaliserNom(colonne)));
+    if (champ) correspondance[colonne] = champ;
+  }
+  return correspondance;
+}
+
+// Erreurs de validation sous forme de texte ("auteur : requis · annee : ...")
+function messageChamps(erreurs) {
+  return erreurs.map(e => `${e.champ} : ${e.message}`).join(' · ');
+}
+
+// Clé de détection des doublons : titre + auteur, sans casse ni accents
+function cleDoublon(titre, auteur) {
+  return `${normaliserNom(titre)}|${normaliserNom(auteur || '')}`;
+}
+
+// Sépare les candidats à l'import (chacun { libelle, valeurs }) en nouveaux et doublons.
+// Doublon = même ISBN, ou même titre et auteur, dans le fichier ou dans le
+// catalogue existant (archives comprises).
+async function separerDoublons(candidats) {
+  const existants = await db.collection("documents")
+    .find(
+      { $or: [
+        { titre: { $in: [...new Set(candidats.map(c => c.valeurs.titre))] } },
+        { isbn_13: { $in: candidats.map(c => c.valeurs.isbn_13).filter(Boolean) } }
+      ] },
+      { projection: { titre: 1, auteur: 1, isbn_13: 1 }, collation: { locale: 'fr', strength: 1 } }
+    )
+    .toArray();
+  
+  const cles = new Map();
+  for (const d of existants) {
+    cles.set(cleDoublon(d.titre, d.auteur), `document ${d._id}`);
+    if (d.isbn_13) cles.set(`isbn:${d.isbn_13}`, `document ${d._id}`);
+  }
+  
+  const nouveaux = [];
+  const doublons = [];
+  for (const candidat of candidats) {
+    const clesCandidat = [cleDoublon(candidat.valeurs.titre, candidat.valeurs.auteur)];
+    if (candidat.valeurs.isbn_13) clesCandidat.push(`isbn:${candidat.valeurs.isbn_13}`);
+    
+    const doublon = clesCandidat.find(cle => cles.has(cle));
+    if (doublon) {
+      doublons.push({ ...candidat, doublon_de: cles.get(doublon) });
+      continue;
+    }
+    clesCandidat.forEach(cle => cles.set(cle, candidat.libelle));
+    nouveaux.push(candidat);
+  }
+  return { nouveaux, doublons };
+}
+
+// Document complet à partir des champs validés (formulaire admin ou import)
+function nouveauDocument(valeurs) {
+  const document = {
+    titre: valeurs.titre,
+    auteur: valeurs.auteur,
+    type_de_document: valeurs.type_de_document || 'Livre',
+    annee: valeurs.annee ?? null,
+    sujets: valeurs.sujets || [],
+    FIELD9: "disponible",
+    exemplaires_total: 1,
+    exemplaires_disponibles: 1,
+    reservations: 0,
+    date_ajout: new Date()
+  };
+  // Pas de champ ISBN vide : l'index unique ne porte que sur les documents qui en ont un
+  if (valeurs.isbn_13) {
+    document.isbn_13 = valeurs.isbn_13;
+    document.isbn_10 = valeurs.isbn_10;
+  }
+  return document;
+}
+
+// Lignes du fichier importé selon son type : JSON (tableau), NDJSON ou CSV
+function lireFichierImport(req) {
+  if (req.is('application/json')) {
+    const lignes = Array.isArray(req.body) ? req.body : req.body && req.body.documents;
+    if (!Array.isArray(lignes)) {
+      throw erreurHttp(400, 'Le JSON doit être un tableau de documents');
+    }
+    return { lignes, premiereLigne: 1 };
+  }
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    throw erreurHttp(400, 'Fichier vide ou type de contenu non pris en charge (CSV ou JSON attendu)');
+  }
+  if (req.is('application/x-ndjson')) {
+    const lignes = req.body.split(/\r?\n/).filter(l => l.trim() !== '').map((l, i) => {
+      try {
+        return JSON.parse(l);
+      } catch (error) {
+        throw erreurHttp(400, `Ligne ${i + 1} : JSON invalide`);
+      }
+    });
+    return { lignes, premiereLigne: 1 };
+  }
+  // CSV : la ligne 1 est l'en-tête
+  return { lignes: lireCsv(req.body), premiereLigne: 2 };
+}
+
+// Le parseur JSON global est contourné pour cette route (taille limite plus élevée)
+const parserImport = [
+  express.json({ limit: LIMITE_IMPORT }),
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv', 'application/x-ndjson'], limit: LIMITE_IMPORT })
+];
+
+// Import du catalogue (admin) : CSV, JSON ou NDJSON dans le corps de la requête
+// ?dry_run=true : rien n'est écrit, le rapport indique ce qui serait importé
+// ?correspondance={"Colonne source":"champ"} : complète la détection automatique
+app.post("/api/admin/documents/import", requirePermission('documents:write'), parserImport, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const dryRun = req.query.dry_run === 'true';
+    let explicite = {};
+    if (req.query.correspondance) {
+      try {
+        explicite = typeof req.query.correspondance === 'string' ? JSON.parse(req.query.correspondance) : null;
+      } catch (error) {
+        explicite = null;
+      }
+      // null, tableau ou nombre sont du JSON valide mais pas une correspondance
+      if (!explicite || typeof explicite !== 'object' || Array.isArray(explicite)) {
+        return repondreInvalide(res, 'Correspondance invalide', [
+          { champ: 'correspondance', message: 'doit être un objet JSON' }
+        ]);
+      }
+      const inconnus = Object.values(explicite).filter(champ => typeof champ !== 'string' || !Object.hasOwn(REGLES_DOCUMENT, champ));
+      if (inconnus.length > 0) {
+        return repondreInvalide(res, 'Correspondance invalide', inconnus.map(champ => (
+          { champ: 'correspondance', message: `champ inconnu : ${champ}` }
+        )));
+      }
+    }
+    
+    const { lignes, premiereLigne } = lireFichierImport(req);
+    if (lignes.length > MAX_LIGNES_IMPORT) {
+      throw erreurHttp(400, `Fichier trop volumineux (${MAX_LIGNES_IMPORT} lignes maximum)`);
+    }
+    
+    const colonnes = [...new Set(lignes.flatMap(l => (l && typeof l === 'object' ? Object.keys(l) : [])))];
+    const correspondance = construireCorrespondance(colonnes, explicite);
+    if (!Object.values(correspondance).includes('titre')) {
+      throw erreurHttp(400, 'Aucune colonne ne correspond au titre');
+    }
+    
+    // Validation ligne par ligne
+    const rapport = [];
+    const candidats = [];
+    lignes.forEach((ligne, i) => {
+      const champs = {};
+      for (const [colonne, champ] of Object.entries(correspondance)) {
+        if (ligne && ligne[colonne] !== undefined) champs[champ] = ligne[colonne];
+      }
+      const { erreurs, valeurs } = validerChampsDocument(champs, false);
+      if (erreurs.length > 0) {
+        rapport.push({ ligne: i + premiereLigne, statut: 'erreur', erreurs });
+      } else {
+        candidats.push({ ligne: i + premiereLigne, libelle: `ligne ${i + premiereLigne}`, valeurs });
+      }
+    });
+    
+    const { nouveaux: aImporter, doublons } = await separerDoublons(candidats);
+    for (const doublon of doublons) {
+      rapport.push({ ligne: doublon.ligne, statut: 'doublon', doublon_de: doublon.doublon_de });
+    }
+    
+    let importes = 0;
+    if (!dryRun && aImporter.length > 0) {
+      const result = await db.collection("documents").insertMany(
+        aImporter.map(c => ({ ...nouveauDocument(c.valeurs), source_import: req.session.email })),
+        { ordered: false }
+      );
+      importes = result.insertedCount;
+      await creerExemplairesParDefaut(Object.values(result.insertedIds));
+      
+      await journaliser(req, 'document.import', { type: 'catalogue', libelle: 'import CSV/JSON' }, {
+        details: { importes, doublons: doublons.length, document_ids: Object.values(result.insertedIds) }
+      });
+    }
+    
+    res.json({
+      success: true,
+      dry_run: dryRun,
+      message: dryRun
+        ? `${aImporter.length} document(s) seraient importés`
+        : `${importes} document(s) importés`,
+      correspondance,
+      total: lignes.length,
+      valides: aImporter.length,
+      importes,
+      doublons: rapport.filter(r => r.statut === 'doublon').length,
+      erreurs: rapport.filter(r => r.statut === 'erreur').length,
+      rapport: rapport.sort((a, b) => a.ligne - b.ligne)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Import de notices MARC21 ou UNIMARC (admin) : fichier ISO 2709 binaire ou MARCXML
+// Une notice dont l'ISBN existe déjà enrichit le document correspondant
+// (champs manquants, sujets) au lieu d'en créer un nouveau.
+// ?dry_run=true : rien n'est écrit
+// ?format=marc21|unimarc : impose le format (sinon détecté notice par notice)
+app.post("/api/admin/documents/import-marc", requirePermission('documents:write'),
+  express.raw({
+    type: ['application/marc', 'application/marcxml+xml', 'application/xml', 'text/xml', 'application/octet-stream'],
+    limit: LIMITE_IMPORT
+  }),
+  async (req, res) => {
+    try {
+      if (!db) db = await connectDB();
+      
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw erreurHttp(400, 'Fichier MARC vide ou type de contenu non pris en charge');
+      }
+      
+      const { erreurs, valeurs: options } = validerChamps(req.query, {
+        format: { type: 'choix', valeurs: FORMATS_MARC }
+      });
+      if (erreurs.length > 0) {
+        return repondreInvalide(res, 'Import invalide', erreurs);
+      }
+      
+      const dryRun = req.query.dry_run === 'true';
+      const { notices, erreurs: illisibles } = lireMarc(req.body);
+      if (notices.length + illisibles.length > MAX_LIGNES_IMPORT) {
+        throw erreurHttp(400, `Fichier trop volumineux (${MAX_LIGNES_IMPORT} notices maximum)`);
+      }
+      
+      const ignores = illisibles.map(e => ({ notice: e.notice, raison: `notice illisible : ${e.raison}` }));
+      const candidats = [];
+      
+      for (const notice of notices) {
+        const { numero, valeurs } = noticeVersDocument(notice, options.format);
+        const champs = {};
+        for (const champ of ['titre', 'auteur', 'type_de_document', 'annee', 'sujets']) {
+          if (valeurs[champ] !== undefined && valeurs[champ] !== '') champs[champ] = valeurs[champ];
+        }
+        if (valeurs.isbn) champs.isbn = valeurs.isbn.isbn_13;
+        
+        const { erreurs, valeurs: valides } = validerChampsDocument(champs, false);
+        if (erreurs.length > 0) {
+          ignores.push({ notice: notice.position, numero, raison: messageChamps(erreurs) });
+        } else {
+          candidats.push({ notice: notice.position, numero, libelle: `notice ${notice.position}`, valeurs: valides });
+        }
+      }
+      
+      // Notices dont l'ISBN est déjà au catalogue : enrichissement
+      const isbns = candidats.map(c => c.valeurs.isbn_13).filter(Boolean);
+      const parIsbn = new Map((await db.collection("documents")
+        .find({ isbn_13: { $in: isbns } })
+        .toArray()).map(d => [d.isbn_13, d]));
+      
+      const enrichissements = [];
+      const dejaEnrichis = new Set();
+      const aCreer = [];
+      for (const candidat of candidats) {
+        const existant = parIsbn.get(candidat.valeurs.isbn_13);
+        if (!existant) {
+          aCreer.push(candidat);
+        } else if (dejaEnrichis.has(existant._id.toString())) {
+          ignores.push({ notice: candidat.notice, numero: candidat.numero, raison: 'ISBN en double dans le fichier' });
+        } else {
+          dejaEnrichis.add(existant._id.toString());
+          enrichissements.push({ candidat, existant });
+        }
+      }
+      
+      const { nouveaux, doublons } = await separerDoublons(aCreer);
+      for (const doublon of doublons) {
+        ignores.push({ notice: doublon.notice, numero: doublon.numero, raison: `doublon de ${doublon.doublon_de}` });
+      }
+      
+      const enrichis = [];
+      for (const { candidat, existant } of enrichissements) {
+        const manquants = {};
+        for (const champ of ['auteur', 'annee', 'type_de_document', 'isbn_10']) {
+          if ((existant[champ] === undefined || existant[champ] === null || existant[champ] === '')
+              && candidat.valeurs[champ] !== undefined) {
+            manquants[champ] = candidat.valeurs[champ];
+          }
+        }
+        const sujets = (candidat.valeurs.sujets || []).filter(s => !(existant.sujets || []).includes(s));
+        if (Object.keys(manquants).length === 0 && sujets.length === 0) {
+          ignores.push({ notice: candidat.notice, numero: candidat.numero, raison: `déjà à jour (document ${existant._id})` });
+          continue;
+        }
+        
+        enrichis.push({ notice: candidat.notice, document: existant._id, champs: Object.keys(manquants), sujets });
+        if (!dryRun) {
+          await db.collection("documents").updateOne(
+            { _id: existant._id },
+            {
+              $set: { ...manquants, date_modification: new Date() },
+              $addToSet: { sujets: { $each: sujets } }
+            }
+          );
+          await journaliser(req, 'document.enrichissement_marc', { type: 'document', id: existant._id, libelle: existant.titre }, {
+            avant: { ...champsAudit(existant, Object.keys(manquants)), sujets: existant.sujets || [] },
+            apres: { ...manquants, sujets: [...(existant.sujets || []), ...sujets] }
+          });
+        }
+      }
+      
+      let crees = 0;
+      if (!dryRun && nouveaux.length > 0) {
+        const result = await db.collection("documents").insertMany(
+          nouveaux.map(c => ({ ...nouveauDocument(c.valeurs), source_import: req.session.email })),
+          { ordered: false }
+        );
+        crees = result.insertedCount;
+        await creerExemplairesParDefaut(Object.values(result.insertedIds));
+        
+        await journaliser(req, 'document.import', { type: 'catalogue', libelle: 'import MARC' }, {
+          details: { importes: crees, doublons: doublons.length, document_ids: Object.values(result.insertedIds) }
+        });
+      }
+      
+      res.json({
+        success: true,
+        dry_run: dryRun,
+        message: dryRun
+          ? `${nouveaux.length} document(s) seraient créés, ${enrichis.length} enrichi(s)`
+          : `${crees} document(s) créés, ${enrichis.length} enrichi(s)`,
+        total: notices.length + illisibles.length,
+        crees: dryRun ? nouveaux.length : crees,
+        enrichis,
+        ignores: ignores.sort((a, b) => (a.notice || 0) - (b.notice || 0))
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+const FORMATS_EXPORT = ['csv', 'ndjson'];
+
+const TYPES_EXPORT = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Écrit un curseur MongoDB en flux (CSV, NDJSON ou tableau JSON) en respectant la contre-pression
+async function exporterCurseur(res, curseur, format, nomFichier, colonnes) {
+  res.set('Content-Type', TYPES_EXPORT[format]);
+  res.set('Content-Disposition', `attachment; filename="${nomFichier}.${format}"`);
+  
+  if (format === 'csv') res.write(ligneCsv(colonnes));
+  if (format === 'json') res.write('[');
+  
+  let premier = true;
+  for await (const document of curseur) {
+    const ligne = format === 'csv' ? ligneCsv(colonnes.map(c => document[c]))
+      : format === 'json' ? (premier ? '\n' : ',\n') + JSON.stringify(document)
+      : JSON.stringify(document) + '\n';
+    premier = false;
+    if (!res.write(ligne)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+    if (res.destroyed) break;
+  }
+  await curseur.close();
+  // Client parti : rien à terminer
+  if (res.destroyed) return;
+  if (format === 'json') res.write('\n]\n');
+  res.end();
+}
+
+// Réponse d'erreur d'un export : JSON si rien n'a encore été envoyé, sinon coupure du flux
+function erreurExport(res, error) {
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Export du catalogue (admin), mêmes filtres que la recherche
+app.get("/api/admin/documents/export", requirePermission('stats:read'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChamps(req.query, {
+      format: { type: 'choix', valeurs: FORMATS_EXPORT }
+    });
+    const recherche = filtreDocuments(req.query, true);
+    erreurs.push(...recherche.erreurs);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Export invalide', erreurs);
+    }
+    
+    const curseur = db.collection("documents")
+      .find(recherche.filtre, { projection: { file_attente: 0 } })
+      .sort({ _id: 1 });
+    
+    await exporterCurseur(res, curseur, valeurs.format || 'csv', 'catalogue', [
+      '_id', 'titre', 'auteur', 'type_de_document', 'annee', 'FIELD9', 'exemplaires_total', 'exemplaires_disponibles', 'archive', 'date_ajout'
+    ]);
+  } catch (error) {
+    erreurExport(res, error);
+  }
+});
+
+// Export de l'historique des emprunts (admin)
+// Filtres : statut, utilisateur (email), document (id), type, depuis / jusqu_au (date d'emprunt)
+app.get("/api/admin/emprunts/export", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChamps(req.query, {
+      format: { type: 'choix', valeurs: FORMATS_EXPORT },
+      statut: { type: 'choix', valeurs: ['emprunté', 'retourné'] },
+      utilisateur: { type: 'texte' },
+      document: { type: 'objectId' },
+      type: { type: 'texte' },
+      depuis: { type: 'date' },
+      jusqu_au: { type: 'date', fin: true }
+    });
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Export invalide', erreurs);
+    }
+    
+    const filtre = {};
+    if (valeurs.statut) filtre.statut = valeurs.statut;
+    if (valeurs.utilisateur) filtre.utilisateur_email = valeurs.utilisateur;
+    if (valeurs.document) filtre.document_id = valeurs.document;
+    if (valeurs.type) filtre.type_de_document = valeurs.type;
+    if (valeurs.depuis || valeurs.jusqu_au) {
+      filtre.date_emprunt = {};
+      if (valeurs.depuis) filtre.date_emprunt.$gte = valeurs.depuis;
+      if (valeurs.jusqu_au) filtre.date_emprunt.$lt = valeurs.jusqu_au;
+    }
+    
+    const curseur = db.collection("emprunts").find(filtre).sort({ date_emprunt: 1 });
+    
+    await exporterCurseur(res, curseur, valeurs.format || 'csv', 'emprunts', [
+      '_id', 'document_id', 'document_titre', 'code_barres', 'type_de_document', 'utilisateur_email',
+      'date_emprunt', 'date_retour_prevu', 'date_retour_reel', 'statut', 'nb_prolongations'
+    ]);
+  } catch (error) {
+    erreurExport(res, error);
+  }
+});
+
+// Ajouter document (admin)
+app.post("/api/admin/documents", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    // Nombre d'exemplaires et cote communs, à part des champs du document
+    const { nombre_exemplaires, cote, ...champs } = req.body || {};
+    const { erreurs, valeurs } = validerChampsDocument(champs, false);
+    const exemplaires = validerChamps({ nombre: nombre_exemplaires, cote }, {
+      nombre: REGLES_NOUVEL_EXEMPLAIRE.nombre,
+      cote: REGLES_EXEMPLAIRE.cote
+    });
+    erreurs.push(...exemplaires.erreurs.map(e => ({ ...e, champ: e.champ === 'nombre' ? 'nombre_exemplaires' : e.champ })));
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Document invalide', erreurs);
+    }
+    const nombre = exemplaires.valeurs.nombre || 1;
+    
+    const documentId = await avecTransaction(async sessionMongo => {
+      const document = nouveauDocument({
+        ...valeurs,
+        annee: valeurs.annee || new Date().getFullYear()
+      });
+      document.exemplaires_total = nombre;
+      document.exemplaires_disponibles = nombre;
+      
+      const result = await db.collection("documents").insertOne(document, { session: sessionMongo });
+      const copies = [];
+      for (let i = 0; i < nombre; i++) {
+        copies.push(await nouvelExemplaire(result.insertedId, { cote: exemplaires.valeurs.cote }, sessionMongo));
+      }
+      await db.collection("exemplaires").insertMany(copies, { session: sessionMongo });
+      
+      await journaliser(req, 'document.creation', { type: 'document', id: result.insertedId, libelle: document.titre }, {
+        apres: champsAudit(document, ['titre', 'auteur', 'type_de_document', 'annee', 'isbn_13', 'sujets']),
+        details: { exemplaires: copies.map(c => c.code_barres) }
+      }, sessionMongo);
+      return result.insertedId;
+    });
+    
+    res.json({
+      success: true,
+      message: `Document ajouté (${nombre} exemplaire(s))`,
+      documentId
+    });
+  } catch (error) {
+    if (estErreurSchema(error)) {
+      return repondreInvalide(res, 'Document invalide', detailsErreurSchema(error));
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Un document avec cet ISBN existe déjà'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Règles des champs modifiables d'un document
+const REGLES_DOCUMENT = {
+  titre: { type: 'texte', requis: true, longueur_max: 500 },
+  auteur: { type: 'texte', requis: true, longueur_max: 300 },
+  type_de_document: { type: 'texte', longueur_max: 100 },
+  annee: { type: 'entier', min: 0, max: () => new Date().getFullYear() + 1 },
+  isbn: { type: 'isbn' },
+  sujets: { type: 'liste' }
+};
+
+// Valide les champs d'un document (partiel = PATCH, seuls les champs fournis sont vérifiés)
+// L'ISBN saisi (10 ou 13 chiffres) est stocké sous ses deux formes : isbn_13 et isbn_10
+function validerChampsDocument(body, partiel) {
+  const resultat = validerChamps(body, REGLES_DOCUMENT, { partiel, strict: true });
+  if (resultat.valeurs.isbn) {
+    Object.assign(resultat.valeurs, resultat.valeurs.isbn);
+    delete resultat.valeurs.isbn;
+  }
+  return resultat;
+}
+
+// Modifier un document (admin) : PUT remplace les champs éditables, PATCH les complète
+async function modifierDocument(req, res, partiel) {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChampsDocument(req.body, partiel);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Document invalide', erreurs);
+    }
+    if (!partiel) {
+      valeurs.type_de_document = valeurs.type_de_document || 'Livre';
+    }
+    
+    const maj = { ...valeurs, date_modification: new Date() };
+    const avant = await db.collection("documents").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: maj }
+    );
+    
+    if (!avant) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Document non trouvé' 
+      });
+    }
+    
+    await journaliser(req, 'document.modification', { type: 'document', id: avant._id, libelle: avant.titre }, {
+      avant: champsAudit(avant, Object.keys(valeurs)),
+      apres: valeurs
+    });
+    
+    res.json({
+      success: true,
+      message: 'Document modifié',
+      document: { ...avant, ...maj }
+    });
+  } catch (error) {
+    if (estErreurSchema(error)) {
+      return repondreInvalide(res, 'Document invalide', detailsErreurSchema(error));
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Un document avec cet ISBN existe déjà'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+app.put("/api/admin/documents/:id", requirePermission('documents:write'), (req, res) => modifierDocument(req, res, false));
+app.patch("/api/admin/documents/:id", requirePermission('documents:write'), (req, res) => modifierDocument(req, res, true));
+
+// Archiver (suppression logique) un document (admin)
+// Refusé tant qu'il est emprunté ou réservé ; l'historique des emprunts est conservé.
+app.delete("/api/admin/documents/:id", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const documentId = new ObjectId(req.params.id);
+    
+    // Vérification et archivage dans une même transaction : un emprunt simultané
+    // met à jour le document (majDisponibilite) et entre donc en conflit avec elle
+    const document = await avecTransaction(async sessionMongo => {
+      const empruntEnCours = await db.collection("emprunts").findOne({ 
+        document_id: documentId,
+        statut: 'emprunté'
+      }, { session: sessionMongo });
+      if (empruntEnCours) {
+        throw erreurHttp(409, 'Document emprunté : archivage impossible');
+      }
+      
+      // Tous les exemplaires en circulation doivent être en rayon
+      const archive = await db.collection("documents").findOneAndUpdate(
+        { 
+          _id: documentId,
+          $expr: { $eq: [{ $ifNull: ["$exemplaires_disponibles", 0] }, { $ifNull: ["$exemplaires_total", 0] }] },
+          "file_attente.0": { $exists: false },
+          archive: { $ne: true }
+        },
+        { $set: { archive: true, date_archivage: new Date(), archive_par: req.session.email } },
+        { returnDocument: 'after', session: sessionMongo }
+      );
+      
+      if (!archive) {
+        const existant = await db.collection("documents").findOne({ _id: documentId }, { session: sessionMongo });
+        if (!existant) {
+          throw erreurHttp(404, 'Document non trouvé');
+        }
+        throw erreurHttp(409, existant.archive 
+          ? 'Document déjà archivé' 
+          : 'Document emprunté ou réservé : archivage impossible');
+      }
+      
+      await journaliser(req, 'document.archivage', { type: 'document', id: documentId, libelle: archive.titre }, {
+        avant: { archive: false },
+        apres: { archive: true }
+      }, sessionMongo);
+      return archive;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Document archivé',
+      document: document
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Restaurer un document archivé (admin)
+app.post("/api/admin/documents/:id/restaurer", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const document = await db.collection("documents").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), archive: true },
+      { 
+        $set: { archive: false },
+        $unset: { date_archivage: "", archive_par: "" }
+      },
+      { returnDocument: 'after' }
+    );
+    
+    if (!document) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Document archivé non trouvé' 
+      });
+    }
+    
+    await journaliser(req, 'document.restauration', { type: 'document', id: document._id, libelle: document.titre }, {
+      avant: { archive: true },
+      apres: { archive: false }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Document restauré',
+      document: document
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Règles des champs modifiables d'un exemplaire
+const REGLES_EXEMPLAIRE = {
+  code_barres: { type: 'texte', longueur_max: 50 },
+  cote: { type: 'texte', longueur_max: 50 },
+  etat: { type: 'choix', valeurs: ETATS_EXEMPLAIRE }
+};
+const REGLES_NOUVEL_EXEMPLAIRE = {
+  ...REGLES_EXEMPLAIRE,
+  nombre: { type: 'entier', min: 1, max: 100 }
+};
+
+// Réponse d'erreur commune aux routes des exemplaires
+function erreurExemplaire(res, error) {
+  if (estErreurSchema(error)) {
+    return repondreInvalide(res, 'Exemplaire invalide', detailsErreurSchema(error));
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'Un exemplaire avec ce code-barres existe déjà'
+    });
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Exemplaires d'un document, avec l'emprunt en cours de chacun (admin)
+app.get("/api/admin/documents/:id/exemplaires", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const documentId = new ObjectId(req.params.id);
+    const exemplaires = await db.collection("exemplaires")
+      .find({ document_id: documentId })
+      .sort({ code_barres: 1 })
+      .toArray();
+    const emprunts = await db.collection("emprunts").find(
+      { document_id: documentId, statut: 'emprunté' },
+      { projection: { exemplaire_id: 1, utilisateur_email: 1, date_retour_prevu: 1 } }
+    ).toArray();
+    const empruntParExemplaire = new Map(emprunts.map(e => [String(e.exemplaire_id), e]));
+    
+    res.json({
+      success: true,
+      exemplaires: exemplaires.map(exemplaire => ({
+        ...exemplaire,
+        emprunt: empruntParExemplaire.get(String(exemplaire._id)) || null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Ajouter des exemplaires à un document (admin)
+// Un nouvel exemplaire sert d'abord les lecteurs en attente.
+app.post("/api/admin/documents/:id/exemplaires", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChamps(req.body, REGLES_NOUVEL_EXEMPLAIRE, { strict: true });
+    const nombre = valeurs.nombre || 1;
+    if (valeurs.code_barres && nombre > 1) {
+      erreurs.push({ champ: 'code_barres', message: "un code-barres ne peut être donné qu'à un seul exemplaire" });
+    }
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Exemplaire invalide', erreurs);
+    }
+    
+    const documentId = new ObjectId(req.params.id);
+    const exemplaires = await avecTransaction(async sessionMongo => {
+      const document = await db.collection("documents").findOne(
+        { _id: documentId, ...NON_ARCHIVE },
+        { session: sessionMongo }
+      );
+      if (!document) {
+        throw erreurHttp(404, 'Document non trouvé');
+      }
+      
+      const ajoutes = [];
+      for (let i = 0; i < nombre; i++) {
+        const exemplaire = await nouvelExemplaire(documentId, valeurs, sessionMongo);
+        const result = await db.collection("exemplaires").insertOne(exemplaire, { session: sessionMongo });
+        ajoutes.push({ _id: result.insertedId, ...exemplaire });
+        await attribuerExemplaireSuivant(ajoutes[i], sessionMongo);
+      }
+      
+      await journaliser(req, 'exemplaire.ajout', { type: 'document', id: documentId, libelle: document.titre }, {
+        details: { exemplaires: ajoutes.map(e => e.code_barres), cote: valeurs.cote || null, etat: valeurs.etat || null }
+      }, sessionMongo);
+      return ajoutes;
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `${exemplaires.length} exemplaire(s) ajouté(s)`,
+      exemplaires: exemplaires.map(e => e.code_barres)
+    });
+  } catch (error) {
+    erreurExemplaire(res, error);
+  }
+});
+
+// Modifier le code-barres, la cote ou l'état d'un exemplaire (admin)
+app.patch("/api/admin/exemplaires/:exemplaireId", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChamps(req.body, REGLES_EXEMPLAIRE, { partiel: true, strict: true });
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Exemplaire invalide', erreurs);
+    }
+    
+    const maj = { ...valeurs, date_modification: new Date() };
+    const avant = await db.collection("exemplaires").findOneAndUpdate(
+      { _id: new ObjectId(req.params.exemplaireId) },
+      { $set: maj }
+    );
+    if (!avant) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Exemplaire non trouvé' 
+      });
+    }
+    
+    await journaliser(req, 'exemplaire.modification', { type: 'exemplaire', id: avant._id, libelle: avant.code_barres }, {
+      avant: champsAudit(avant, Object.keys(valeurs)),
+      apres: valeurs
+    });
+    
+    res.json({
+      success: true,
+      message: 'Exemplaire modifié',
+      exemplaire: { ...avant, ...maj }
+    });
+  } catch (error) {
+    erreurExemplaire(res, error);
+  }
+});
+
+// Retirer un exemplaire de la circulation (perdu, pilonné...) (admin)
+// Refusé tant qu'il est emprunté ou mis de côté ; l'historique des emprunts est conservé.
+app.delete("/api/admin/exemplaires/:exemplaireId", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const exemplaireId = new ObjectId(req.params.exemplaireId);
+    const exemplaire = await avecTransaction(async sessionMongo => {
+      const retire = await db.collection("exemplaires").findOneAndUpdate(
+        { _id: exemplaireId, statut: 'disponible' },
+        { $set: { statut: 'retiré', date_retrait: new Date(), retire_par: req.session.email } },
+        { session: sessionMongo, returnDocument: 'after' }
+      );
+      if (!retire) {
+        const existant = await db.collection("exemplaires").findOne({ _id: exemplaireId }, { session: sessionMongo });
+        if (!existant) {
+          throw erreurHttp(404, 'Exemplaire non trouvé');
+        }
+        throw erreurHttp(409, existant.statut === 'retiré'
+          ? 'Exemplaire déjà retiré'
+          : 'Exemplaire emprunté ou réservé : retrait impossible');
+      }
+      await majDisponibilite(retire.document_id, sessionMongo);
+      
+      await journaliser(req, 'exemplaire.retrait', { type: 'exemplaire', id: exemplaireId, libelle: retire.code_barres }, {
+        avant: { statut: 'disponible' },
+        apres: { statut: 'retiré' },
+        details: { document_id: retire.document_id }
+      }, sessionMongo);
+      return retire;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Exemplaire retiré de la circulation',
+      exemplaire
+    });
+  } catch (error) {
+    erreurExemplaire(res, error);
+  }
+});
+
+// Remettre en circulation un exemplaire retiré (admin)
+app.post("/api/admin/exemplaires/:exemplaireId/restaurer", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const exemplaireId = new ObjectId(req.params.exemplaireId);
+    const suivant = await avecTransaction(async sessionMongo => {
+      const exemplaire = await db.collection("exemplaires").findOneAndUpdate(
+        { _id: exemplaireId, statut: 'retiré' },
+        { $unset: { date_retrait: "", retire_par: "" } },
+        { session: sessionMongo, returnDocument: 'after' }
+      );
+      if (!exemplaire) {
+        throw erreurHttp(404, 'Exemplaire retiré non trouvé');
+      }
+      const servi = await attribuerExemplaireSuivant(exemplaire, sessionMongo);
+      
+      await journaliser(req, 'exemplaire.restauration', { type: 'exemplaire', id: exemplaireId, libelle: exemplaire.code_barres }, {
+        avant: { statut: 'retiré' },
+        apres: { statut: servi ? 'réservé' : 'disponible' },
+        details: { document_id: exemplaire.document_id }
+      }, sessionMongo);
+      return servi;
+    });
+    
+    res.json({
+      success: true,
+      message: suivant
+        ? 'Exemplaire remis en circulation (mis de côté pour la prochaine réservation)'
+        : 'Exemplaire remis en circulation'
+    });
+  } catch (error) {
+    erreurExemplaire(res, error);
+  }
+});
+
+// Files d'attente des réservations (admin)
+app.get("/api/admin/reservations", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    await expirerRetraits();
+    
+    const documents = await db.collection("documents").find(
+      { "file_attente.0": { $exists: true } },
+      { projection: { titre: 1, auteur: 1, FIELD9: 1, file_attente: 1 } }
+    ).toArray();
+    
+    res.json({
+      success: true,
+      reservations: documents
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Annuler la réservation d'un utilisateur (admin)
+app.delete("/api/admin/documents/:id/reservations/:userId", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const documentId = new ObjectId(req.params.id);
+    const userId = new ObjectId(req.params.userId);
+    
+    const annulee = await annulerReservation(documentId, userId, req);
+    if (!annulee) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Réservation non trouvée" 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: "Réservation annulée"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Recalculer compteurs et statuts à partir de la collection emprunts (admin)
+app.post("/api/admin/reconcilier", requirePermission('documents:write'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    // Emprunts en cours par utilisateur et par exemplaire
+    const parUtilisateur = await db.collection("emprunts").aggregate([
+      { $match: { statut: 'emprunté' } },
+      { $group: { _id: "$utilisateur_id", total: { $sum: 1 } } }
+    ]).toArray();
+    const empruntsActifs = await db.collection("emprunts").find(
+      { statut: 'emprunté' },
+      { projection: { exemplaire_id: 1, utilisateur_email: 1, date_emprunt: 1 } }
+    ).toArray();
+    
+    const empruntsParUtilisateur = new Map(parUtilisateur.map(u => [u._id.toString(), u.total]));
+    const empruntsParExemplaire = new Map(empruntsActifs.map(e => [String(e.exemplaire_id), e]));
+    
+    // Compteurs utilisateurs
+    const utilisateursCorriges = [];
+    const utilisateurs = await db.collection("utilisateurs").find(
+      {}, { projection: { email: 1, emprunts_actuels: 1 } }
+    ).toArray();
+    for (const user of utilisateurs) {
+      const attendu = empruntsParUtilisateur.get(user._id.toString()) || 0;
+      if ((user.emprunts_actuels || 0) !== attendu) {
+        await db.collection("utilisateurs").updateOne(
+          { _id: user._id },
+          { $set: { emprunts_actuels: attendu } }
+        );
+        utilisateursCorriges.push({ email: user.email, avant: user.emprunts_actuels || 0, apres: attendu });
+      }
+    }
+    
+    // Documents sans aucun exemplaire (insérés hors de l'application) : un exemplaire par défaut
+    const sansExemplaire = await db.collection("documents").aggregate([
+      { $lookup: { from: "exemplaires", localField: "_id", foreignField: "document_id", as: "exemplaires" } },
+      { $match: { exemplaires: { $size: 0 } } },
+      { $project: { _id: 1 } }
+    ]).toArray();
+    await creerExemplairesParDefaut(sansExemplaire.map(d => d._id));
+    
+    // Statuts des exemplaires
+    const documents = await db.collection("documents").find(
+      {}, { projection: { titre: 1, FIELD9: 1, file_attente: 1 } }
+    ).toArray();
+    const documentsParId = new Map(documents.map(d => [d._id.toString(), d]));
+    
+    const exemplairesCorriges = [];
+    const exemplaires = await db.collection("exemplaires").find({ statut: { $ne: 'retiré' } }).toArray();
+    for (const exemplaire of exemplaires) {
+      const empruntActif = empruntsParExemplaire.get(exemplaire._id.toString());
+      const avant = exemplaire.statut;
+      
+      if (empruntActif) {
+        if (exemplaire.statut !== "emprunté" || exemplaire.emprunte_par !== empruntActif.utilisateur_email) {
+          await db.collection("exemplaires").updateOne(
+            { _id: exemplaire._id },
+            { 
+              $set: { 
+                statut: "emprunté",
+                emprunte_par: empruntActif.utilisateur_email,
+                date_emprunt: empruntActif.date_emprunt,
+                reserve_pour: null
+              }
+            }
+          );
+          exemplairesCorriges.push({ code_barres: exemplaire.code_barres, avant, apres: "emprunté" });
+        }
+        continue;
+      }
+      
+      const document = documentsParId.get(exemplaire.document_id.toString());
+      const reservationPrete = exemplaire.reserve_pour && ((document && document.file_attente) || [])
+        .some(r => r.statut === "prête" && r.utilisateur_id.equals(exemplaire.reserve_pour));
+      
+      if (exemplaire.statut === "emprunté" || (exemplaire.statut === "réservé" && !reservationPrete)) {
+        // Emprunté sans emprunt actif, ou mis de côté sans réservation prête
+        const suivant = await avecTransaction(sessionMongo => 
+          attribuerExemplaireSuivant(exemplaire, sessionMongo)
+        );
+        exemplairesCorriges.push({ code_barres: exemplaire.code_barres, avant, apres: suivant ? "réservé" : "disponible" });
+      }
+    }
+    
+    // Disponibilité agrégée des documents
+    const documentsCorriges = [];
+    for (const document of documents) {
+      const apres = await majDisponibilite(document._id);
+      if (apres !== document.FIELD9) {
+        documentsCorriges.push({ titre: document.titre, avant: document.FIELD9, apres });
+      }
+    }
+    
+    await journaliser(req, 'maintenance.reconciliation', { type: 'catalogue', libelle: 'réconciliation' }, {
+      details: {
+        utilisateurs: utilisateursCorriges.length,
+        exemplaires: exemplairesCorriges.length,
+        documents: documentsCorriges.length
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: `${utilisateursCorriges.length} utilisateur(s), ${exemplairesCorriges.length} exemplaire(s) et ${documentsCorriges.length} document(s) corrigé(s)`,
+      utilisateurs: utilisateursCorriges,
+      exemplaires: exemplairesCorriges,
+      documents: documentsCorriges
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Prolonger un emprunt (admin)
+app.post("/api/admin/emprunts/:id/prolonger", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const emprunt = await prolongerEmprunt({
+      _id: new ObjectId(req.params.id)
+    }, req);
+    
+    res.json({
+      success: true,
+      message: `Emprunt prolongé jusqu'au ${emprunt.date_retour_prevu.toLocaleDateString('fr-FR')}`,
+      emprunt: emprunt
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Comptes et adresses IP bloqués ou en échec (admin)
+app.get("/api/admin/blocages", requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const filtre = { type: { $in: ['compte', 'ip'] } };
+    if (req.query.actifs === 'true') filtre.bloque_jusqu_au = { $gt: new Date() };
+    
+    const blocages = await db.collection('tentatives_connexion').find(filtre)
+      .sort({ dernier_echec: -1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      blocages: blocages
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Lever un blocage (remet le compteur d'échecs à zéro)
+app.delete("/api/admin/blocages/:id", requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const blocage = await db.collection('tentatives_connexion').findOneAndDelete({
+      _id: new ObjectId(req.params.id)
+    });
+    
+    if (!blocage) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Blocage non trouvé' 
+      });
+    }
+    
+    await journaliser(req, 'securite.levee_blocage', { type: 'blocage', id: blocage._id, libelle: blocage.cle }, {
+      avant: champsAudit(blocage, ['echecs', 'bloque_jusqu_au'])
+    });
+    
+    res.json({
+      success: true,
+      message: 'Blocage levé'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Liste des pénalités (admin), filtrable par statut et par utilisateur
+const REGLES_LISTE_PENALITES = {
+  statut: { type: 'choix', valeurs: ['impayée', 'payée', 'active', 'annulée'] },
+  utilisateur: { type: 'email' }
+};
+
+app.get("/api/admin/penalites", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChamps(req.query, REGLES_LISTE_PENALITES);
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Filtres invalides', erreurs);
+    }
+    
+    const filtre = {};
+    if (valeurs.statut) filtre.statut = valeurs.statut;
+    if (valeurs.utilisateur) filtre.utilisateur_email = valeurs.utilisateur;
+    
+    const penalites = await db.collection("penalites").find(filtre)
+      .sort({ date_creation: -1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      penalites: penalites
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Marquer une amende comme payée (admin)
+app.post("/api/admin/penalites/:id/payer", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const penalite = await db.collection("penalites").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), type: 'amende', statut: 'impayée' },
+      { $set: { statut: 'payée', date_reglement: new Date(), regle_par: req.session.email } },
+      { returnDocument: 'after' }
+    );
+    
+    if (!penalite) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Amende impayée non trouvée' 
+      });
+    }
+    
+    await journaliser(req, 'penalite.paiement', { type: 'penalite', id: penalite._id, libelle: penalite.utilisateur_email }, {
+      avant: { statut: 'impayée' },
+      apres: { statut: penalite.statut },
+      details: { montant: penalite.montant, utilisateur_id: penalite.utilisateur_id }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Amende marquée comme payée',
+      penalite: penalite
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Annuler (lever) une pénalité (admin)
+app.post("/api/admin/penalites/:id/annuler", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const annulation = {
+      statut: 'annulée',
+      date_reglement: new Date(),
+      regle_par: req.session.email,
+      motif_annulation: req.body.motif || null
+    };
+    const avant = await db.collection("penalites").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), statut: { $in: ['impayée', 'active'] } },
+      { $set: annulation }
+    );
+    
+    if (!avant) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Pénalité en cours non trouvée' 
+      });
+    }
+    const penalite = { ...avant, ...annulation };
+    
+    await journaliser(req, 'penalite.annulation', { type: 'penalite', id: penalite._id, libelle: penalite.utilisateur_email }, {
+      avant: { statut: avant.statut },
+      apres: { statut: penalite.statut },
+      details: { type: penalite.type, motif: penalite.motif_annulation, utilisateur_id: penalite.utilisateur_id }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Pénalité annulée',
+      penalite: penalite
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Politique de prêt courante (admin)
+app.get("/api/admin/parametres", requirePermission('parametres:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const parametres = await parametresCourants();
+    
+    res.json({
+      success: true,
+      parametres: parametres || { version: 0, politique: POLITIQUE_DEFAUT }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Historique des versions de la politique (admin)
+app.get("/api/admin/parametres/historique", requirePermission('parametres:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const versions = await db.collection("parametres").find()
+      .sort({ version: -1 })
+      .limit(50)
+      .toArray();
+    
+    res.json({
+      success: true,
+      versions: versions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Enregistrer une nouvelle version de la politique (admin)
+app.put("/api/admin/parametres", requirePermission('parametres:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { version, politique } = req.body;
+    
+    const erreurs = validerPolitique(politique);
+    if (erreurs.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Politique invalide',
+        details: erreurs
+      });
+    }
+    
+    // Refuser d'écraser une version modifiée entre-temps par un autre admin
+    const courants = await parametresCourants();
+    const versionCourante = courants ? courants.version : 0;
+    if (version !== undefined && version !== versionCourante) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Paramètres modifiés entre-temps (version ${versionCourante}), rechargez la page` 
+      });
+    }
+    
+    const nouvelleVersion = {
+      version: versionCourante + 1,
+      politique: {
+        categorie_inscription: politique.categorie_inscription,
+        categories: politique.categories,
+        matrice: politique.matrice
+      },
+      date_modification: new Date(),
+      modifie_par: req.session.email
+    };
+    await db.collection("parametres").insertOne(nouvelleVersion);
+    
+    await journaliser(req, 'parametres.modification', { type: 'parametres', libelle: `version ${nouvelleVersion.version}` }, {
+      avant: courants ? courants.politique : null,
+      apres: nouvelleVersion.politique
+    });
+    
+    res.json({
+      success: true,
+      message: `Paramètres enregistrés (version ${nouvelleVersion.version})`,
+      parametres: nouvelleVersion
+    });
+  } catch (error) {
+    // Index unique sur version : deux enregistrements simultanés
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Paramètres modifiés entre-temps, rechargez la page' 
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== STATISTIQUES DE CIRCULATION ====================
+
+// Les emprunts sont regroupés par jour / semaine / mois dans ce fuseau
+const FUSEAU_STATISTIQUES = process.env.FUSEAU_STATISTIQUES || 'Europe/Paris';
+const PERIODE_STATISTIQUES_JOURS = 30;
+const GRANULARITES = { jour: 'day', semaine: 'week', mois: 'month' };
+
+// jusqu_au est une borne exclusive (voir la règle fin de validation.js)
+const REGLES_PERIODE = {
+  depuis: { type: 'date' },
+  jusqu_au: { type: 'date', fin: true },
+  format: { type: 'choix', valeurs: ['json', 'csv'] }
+};
+const REGLE_GRANULARITE = { granularite: { type: 'choix', valeurs: Object.keys(GRANULARITES) } };
+const REGLE_CLASSEMENT = { limite: { type: 'entier', min: 1, max: 100 } };
+
+// Instant de minuit, heure locale du fuseau des statistiques, pour une date AAAA-MM-JJ
+function minuitLocal(jour) {
+  const utc = new Date(`${jour}T00:00:00Z`);
+  const decalage = date => new Date(date.toLocaleString('en-US', { timeZone: FUSEAU_STATISTIQUES }))
+    - new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return new Date(utc.getTime() - decalage(new Date(utc.getTime() - decalage(utc))));
+}
+
+// Valide la période (par défaut les 30 derniers jours) et les paramètres propres à l'indicateur
+// Les dates seules (AAAA-MM-JJ) désignent des journées du fuseau des statistiques
+function lirePeriode(query, regles) {
+  const { erreurs, valeurs } = validerChamps(query, { ...REGLES_PERIODE, ...regles });
+  const jourSeul = texte => typeof texte === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(texte.trim());
+  if (valeurs.depuis && jourSeul(query.depuis)) {
+    valeurs.depuis = minuitLocal(query.depuis.trim());
+  }
+  if (valeurs.jusqu_au && jourSeul(query.jusqu_au)) {
+    // La règle fin a déjà avancé au lendemain
+    valeurs.jusqu_au = minuitLocal(valeurs.jusqu_au.toISOString().slice(0, 10));
+  }
+  const jusquAu = valeurs.jusqu_au || new Date();
+  const depuis = valeurs.depuis || new Date(jusquAu.getTime() - PERIODE_STATISTIQUES_JOURS * 24 * 60 * 60 * 1000);
+  if (erreurs.length === 0 && depuis >= jusquAu) {
+    erreurs.push({ champ: 'depuis', message: 'doit précéder jusqu_au' });
+  }
+  return { erreurs, valeurs: { ...valeurs, depuis, jusqu_au: jusquAu } };
+}
+
+// Emprunts commencés dans la période
+function filtrePeriode(valeurs) {
+  return { date_emprunt: { $gte: valeurs.depuis, $lt: valeurs.jusqu_au } };
+}
+
+// Regroupe les emprunts de la période par jour, semaine ou mois.
+// Le début de période est calculé dans le fuseau local puis écrit AAAA-MM-JJ ;
+// les périodes vides sont ajoutées ensuite par completerPeriodes.
+function pipelineParPeriode(valeurs, accumulateurs, projection) {
+  const unite = GRANULARITES[valeurs.granularite || 'jour'];
+  const debutLocal = {
+    $dateToString: {
+      format: '%Y-%m-%d',
+      date: { $dateTrunc: { date: '$date_emprunt', unit: unite, startOfWeek: 'monday', timezone: FUSEAU_STATISTIQUES } },
+      timezone: FUSEAU_STATISTIQUES
+    }
+  };
+  return [
+    { $match: filtrePeriode(valeurs) },
+    { $group: { _id: debutLocal, ...accumulateurs } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, periode: '$_id', ...projection } }
+  ];
+}
+
+// Début de la période (jour, semaine commençant le lundi, mois) contenant la date,
+// en date locale du fuseau, représentée à minuit UTC pour avancer sans changement d'heure
+function debutPeriodeLocale(date, unite) {
+  const jour = new Intl.DateTimeFormat('en-CA', { timeZone: FUSEAU_STATISTIQUES }).format(date);
+  const debut = new Date(`${jour}T00:00:00Z`);
+  if (unite === 'week') debut.setUTCDate(debut.getUTCDate() - (debut.getUTCDay() + 6) % 7);
+  if (unite === 'month') debut.setUTCDate(1);
+  return debut;
+}
+
+// Toutes les périodes de la plage demandée, celles sans emprunt valant "vide"
+function completerPeriodes(resultats, valeurs, vide) {
+  const unite = GRANULARITES[valeurs.granularite || 'jour'];
+  const parPeriode = new Map(resultats.map(ligne => [ligne.periode, ligne]));
+  const derniere = debutPeriodeLocale(new Date(valeurs.jusqu_au.getTime() - 1), unite);
+  const lignes = [];
+  
+  for (const debut = debutPeriodeLocale(valeurs.depuis, unite); debut <= derniere;) {
+    const periode = debut.toISOString().slice(0, 10);
+    lignes.push(parPeriode.get(periode) || { periode, ...vide });
+    if (unite === 'day') debut.setUTCDate(debut.getUTCDate() + 1);
+    if (unite === 'week') debut.setUTCDate(debut.getUTCDate() + 7);
+    if (unite === 'month') debut.setUTCMonth(debut.getUTCMonth() + 1);
+  }
+  return lignes;
+}
+
+// Type de document des emprunts antérieurs au champ type_de_document
+const TYPE_EMPRUNT = { $ifNull: ['$type_de_document', 'Non spécifié'] };
+
+// Indicateurs exposés sous /api/admin/statistiques/<nom> :
+// paramètres acceptés (en plus de la période), colonnes du CSV et pipeline sur "emprunts"
+const INDICATEURS_CIRCULATION = {
+  emprunts: {
+    regles: REGLE_GRANULARITE,
+    colonnes: ['periode', 'emprunts'],
+    vide: { emprunts: 0 },
+    pipeline: valeurs => pipelineParPeriode(valeurs,
+      { emprunts: { $sum: 1 } },
+      { emprunts: 1 })
+  },
+  'lecteurs-actifs': {
+    regles: REGLE_GRANULARITE,
+    colonnes: ['periode', 'lecteurs_actifs'],
+    vide: { lecteurs_actifs: 0 },
+    pipeline: valeurs => pipelineParPeriode(valeurs,
+      { lecteurs: { $addToSet: '$utilisateur_id' } },
+      { lecteurs_actifs: { $size: '$lecteurs' } })
+  },
+  titres: {
+    regles: REGLE_CLASSEMENT,
+    colonnes: ['document_id', 'titre', 'auteur', 'emprunts', 'lecteurs'],
+    pipeline: valeurs => [
+      { $match: filtrePeriode(valeurs) },
+      {
+        $group: {
+          _id: '$document_id',
+          titre: { $first: '$document_titre' },
+          emprunts: { $sum: 1 },
+          lecteurs: { $addToSet: '$utilisateur_id' }
+        }
+      },
+      { $sort: { emprunts: -1, titre: 1 } },
+      { $limit: valeurs.limite || 10 },
+      {
+        $lookup: {
+          from: 'documents',
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { auteur: 1 } }],
+          as: 'document'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          document_id: '$_id',
+          titre: 1,
+          auteur: { $first: '$document.auteur' },
+          emprunts: 1,
+          lecteurs: { $size: '$lecteurs' }
+        }
+      }
+    ]
+  },
+  auteurs: {
+    regles: REGLE_CLASSEMENT,
+    colonnes: ['auteur', 'emprunts', 'titres'],
+    pipeline: valeurs => [
+      { $match: filtrePeriode(valeurs) },
+      // Regroupement par document d'abord : une seule jointure par titre
+      { $group: { _id: '$document_id', emprunts: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: 'documents',
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { auteur: 1 } }],
+          as: 'document'
+        }
+      },
+      { $set: { auteur: { $first: '$document.auteur' } } },
+      { $match: { auteur: { $nin: [null, ''] } } },
+      { $group: { _id: '$auteur', emprunts: { $sum: '$emprunts' }, titres: { $sum: 1 } } },
+      { $sort: { emprunts: -1, _id: 1 } },
+      { $limit: valeurs.limite || 10 },
+      { $project: { _id: 0, auteur: '$_id', emprunts: 1, titres: 1 } }
+    ]
+  },
+  duree: {
+    regles: {},
+    colonnes: ['type_de_document', 'emprunts', 'duree_moyenne_jours', 'duree_min_jours', 'duree_max_jours'],
+    // Emprunts rendus uniquement, par type puis tous types confondus
+    pipeline: valeurs => {
+      const accumulateurs = {
+        emprunts: { $sum: 1 },
+        moyenne: { $avg: '$jours' },
+        min: { $min: '$jours' },
+        max: { $max: '$jours' }
+      };
+      return [
+        { $match: { ...filtrePeriode(valeurs), statut: 'retourné', date_retour_reel: { $type: 'date' } } },
+        {
+          $project: {
+            type: TYPE_EMPRUNT,
+            jours: { $divide: [{ $subtract: ['$date_retour_reel', '$date_emprunt'] }, 24 * 60 * 60 * 1000] }
+          }
+        },
+        {
+          $facet: {
+            par_type: [{ $group: { _id: '$type', ...accumulateurs } }, { $sort: { emprunts: -1 } }],
+            tous: [{ $group: { _id: 'Tous types', ...accumulateurs } }]
+          }
+        },
+        { $project: { lignes: { $concatArrays: ['$par_type', '$tous'] } } },
+        { $unwind: '$lignes' },
+        { $replaceRoot: { newRoot: '$lignes' } },
+        {
+          $project: {
+            _id: 0,
+            type_de_document: '$_id',
+            emprunts: 1,
+            duree_moyenne_jours: { $round: ['$moyenne', 1] },
+            duree_min_jours: { $round: ['$min', 1] },
+            duree_max_jours: { $round: ['$max', 1] }
+          }
+        }
+      ];
+    }
+  },
+  retards: {
+    regles: {},
+    colonnes: ['type_de_document', 'emprunts', 'en_retard', 'taux_retard'],
+    // En retard : rendu après la date prévue, ou toujours en cours après celle-ci
+    pipeline: valeurs => [
+      { $match: filtrePeriode(valeurs) },
+      {
+        $group: {
+          _id: TYPE_EMPRUNT,
+          emprunts: { $sum: 1 },
+          en_retard: {
+            $sum: {
+              $cond: [{ $gt: [{ $ifNull: ['$date_retour_reel', '$$NOW'] }, '$date_retour_prevu'] }, 1, 0]
+            }
+          }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          type_de_document: '$_id',
+          emprunts: 1,
+          en_retard: 1,
+          taux_retard: { $round: [{ $multiply: [{ $divide: ['$en_retard', '$emprunts'] }, 100] }, 1] }
+        }
+      },
+      { $sort: { taux_retard: -1, type_de_document: 1 } }
+    ]
+  }
+};
+
+for (const [nom, indicateur] of Object.entries(INDICATEURS_CIRCULATION)) {
+  app.get(`/api/admin/statistiques/${nom}`, requirePermission('stats:read'), async (req, res) => {
+    try {
+      if (!db) db = await connectDB();
+      
+      const { erreurs, valeurs } = lirePeriode(req.query, indicateur.regles);
+      if (erreurs.length > 0) {
+        return repondreInvalide(res, 'Paramètres invalides', erreurs);
+      }
+      
+      let resultats = await db.collection("emprunts").aggregate(indicateur.pipeline(valeurs)).toArray();
+      if (indicateur.vide) {
+        resultats = completerPeriodes(resultats, valeurs, indicateur.vide);
+      }
+      
+      if (valeurs.format === 'csv') {
+        res.set('Content-Type', TYPES_EXPORT.csv);
+        res.set('Content-Disposition', `attachment; filename="statistiques-${nom}.csv"`);
+        return res.send(
+          ligneCsv(indicateur.colonnes) +
+          resultats.map(ligne => ligneCsv(indicateur.colonnes.map(c => ligne[c]))).join('')
+        );
+      }
+      
+      res.json({
+        success: true,
+        indicateur: nom,
+        periode: { depuis: valeurs.depuis, jusqu_au: valeurs.jusqu_au },
+        count: resultats.length,
+        resultats
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
+
+// ==================== GUICHET ====================
+
+// Prêts et retours enregistrés par le personnel pour un lecteur, à partir des
+// codes-barres lus par une douchette. Chaque passage au guichet est une seule
+// transaction (tout ou rien) et produit un reçu numéroté, réimprimable.
+const MAX_CODES_GUICHET = 50;
+
+const REGLES_GUICHET_EMPRUNT = {
+  lecteur: { type: 'texte', requis: true, longueur_max: 200 },
+  codes_barres: { type: 'liste', requis: true }
+};
+const REGLES_GUICHET_RETOUR = {
+  codes_barres: { type: 'liste', requis: true }
+};
+
+// Valide la liste des codes-barres scannés (doublons retirés)
+function validerCodesBarres(resultat) {
+  const codes = resultat.valeurs.codes_barres;
+  if (codes && codes.length === 0) {
+    resultat.erreurs.push({ champ: 'codes_barres', message: 'au moins un code-barres est requis' });
+  }
+  if (codes && codes.length > MAX_CODES_GUICHET) {
+    resultat.erreurs.push({ champ: 'codes_barres', message: `${MAX_CODES_GUICHET} codes-barres maximum par passage` });
+  }
+  return resultat;
+}
+
+// Lecteur désigné par son email ou son identifiant
+async function trouverLecteur(identifiant, sessionMongo) {
+  const valeur = String(identifiant).trim();
+  if (estObjectId(valeur)) {
+    const user = await db.collection("utilisateurs").findOne({ _id: new ObjectId(valeur) }, { session: sessionMongo });
+    if (user) return user;
+  }
+  return db.collection("utilisateurs").findOne(
+    { email: valeur.toLowerCase() },
+    { session: sessionMongo, collation: { locale: 'fr', strength: 2 } }
+  );
+}
+
+// Préfixe le message d'une erreur métier par le code-barres en cause
+function erreurCodeBarres(code, error) {
+  if (error.status) {
+    error.message = `${code} : ${error.message}`;
+  }
+  return error;
+}
+
+// Enregistre un reçu de passage au guichet (numéro séquentiel partagé entre les instances)
+async function enregistrerRecu(recu, sessionMongo) {
+  const compteur = await db.collection('compteurs').findOneAndUpdate(
+    { _id: 'recu' },
+    { $inc: { valeur: 1 } },
+    { upsert: true, returnDocument: 'after', session: sessionMongo }
+  );
+  const complet = { numero: 'R' + String(compteur.valeur).padStart(8, '0'), date: new Date(), ...recu };
+  const result = await db.collection('recus').insertOne(complet, { session: sessionMongo });
+  return { _id: result.insertedId, ...complet };
+}
+
+// Version texte d'un reçu, pour les imprimantes à ticket
+function texteRecu(recu) {
+  const date = d => new Date(d).toLocaleDateString('fr-FR');
+  const lignes = [
+    'MÉDIATHÈQUE',
+    `Reçu ${recu.numero} — ${recu.type === 'emprunt' ? 'Prêt' : 'Retour'}`,
+    new Date(recu.date).toLocaleString('fr-FR'),
+    ''
+  ];
+  if (recu.lecteur) {
+    lignes.push(`Lecteur : ${recu.lecteur.nom || ''} <${recu.lecteur.email}>`, '');
+  }
+  for (const ligne of recu.lignes) {
+    lignes.push(`${ligne.code_barres}  ${ligne.titre}`);
+    if (ligne.date_retour_prevu) {
+      lignes.push(`    à rendre avant le ${date(ligne.date_retour_prevu)}`);
+    }
+    if (ligne.penalite) {
+      lignes.push(ligne.penalite.type === 'amende'
+        ? `    retard ${ligne.penalite.jours_retard} j : amende ${ligne.penalite.montant.toFixed(2)} €`
+        : `    retard ${ligne.penalite.jours_retard} j : suspendu jusqu'au ${date(ligne.penalite.date_fin_suspension)}`);
+    }
+    if (ligne.mis_de_cote_pour) {
+      lignes.push(`    À METTRE DE CÔTÉ pour ${ligne.mis_de_cote_pour}`);
+    }
+  }
+  lignes.push('', `${recu.lignes.length} document(s) — agent : ${recu.agent}`);
+  return lignes.join('\n') + '\n';
+}
+
+// Fiche d'un lecteur au guichet : emprunts en cours, pénalités, réservations prêtes
+app.get("/api/admin/guichet/lecteurs", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    if (!req.query.identifiant) {
+      return repondreInvalide(res, 'Lecteur requis', [{ champ: 'identifiant', message: 'requis' }]);
+    }
+    
+    await expirerRetraits();
+    
+    const user = await trouverLecteur(req.query.identifiant);
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Lecteur non trouvé' 
+      });
+    }
+    
+    const maintenant = new Date();
+    const emprunts = await db.collection("emprunts").find(
+      { utilisateur_id: user._id, statut: 'emprunté' },
+      { projection: { document_titre: 1, code_barres: 1, date_emprunt: 1, date_retour_prevu: 1 } }
+    ).sort({ date_retour_prevu: 1 }).toArray();
+    const misDeCote = await db.collection("exemplaires").aggregate([
+      { $match: { statut: 'réservé', reserve_pour: user._id } },
+      { $lookup: { from: "documents", localField: "document_id", foreignField: "_id", as: "document" } },
+      { $project: { code_barres: 1, cote: 1, titre: { $first: "$document.titre" } } }
+    ]).toArray();
+    
+    res.json({
+      success: true,
+      lecteur: {
+        _id: user._id,
+        nom: user.nom,
+        email: user.email,
+        categorie: user.categorie || null,
+        limite_emprunts: user.limite_emprunts,
+        emprunts_actuels: user.emprunts_actuels || 0,
+        suspendu: Boolean(user.suspendu)
+      },
+      penalites: await soldePenalites(user._id),
+      emprunts: emprunts.map(e => ({ ...e, en_retard: e.date_retour_prevu < maintenant })),
+      mis_de_cote: misDeCote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Prêt au guichet : tous les exemplaires scannés sont prêtés au lecteur, ou aucun
+app.post("/api/admin/guichet/emprunts", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerCodesBarres(validerChamps(req.body, REGLES_GUICHET_EMPRUNT));
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Prêt invalide', erreurs);
+    }
     
-    // Vérifier emprunt
-    const emprunt = await db.collection("emprunts").findOne({
-      document_id: documentId,
-      utilisateur_id: userId,
-      statut: 'emprunté'
+    await expirerRetraits();
+    
+    const recu = await avecTransaction(async sessionMongo => {
+      const user = await trouverLecteur(valeurs.lecteur, sessionMongo);
+      if (!user) {
+        throw erreurHttp(404, 'Lecteur non trouvé');
+      }
+      
+      const lignes = [];
+      for (const code of valeurs.codes_barres) {
+        try {
+          const exemplaire = await db.collection("exemplaires").findOne({ code_barres: code }, { session: sessionMongo });
+          if (!exemplaire) {
+            throw erreurHttp(404, 'code-barres inconnu');
+          }
+          const emprunt = await effectuerEmprunt(user._id, exemplaire.document_id, sessionMongo, {
+            codeBarres: code,
+            par: req.session.email,
+            req
+          });
+          lignes.push({
+            emprunt_id: emprunt._id,
+            code_barres: code,
+            titre: emprunt.document_titre,
+            date_retour_prevu: emprunt.date_retour_prevu
+          });
+        } catch (error) {
+          throw erreurCodeBarres(code, error);
+        }
+      }
+      
+      return enregistrerRecu({
+        type: 'emprunt',
+        lecteur: { _id: user._id, nom: user.nom, email: user.email },
+        agent: req.session.email,
+        lignes
+      }, sessionMongo);
     });
     
-    if (!emprunt) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Vous n'avez pas emprunté ce document" 
-      });
+    res.json({
+      success: true,
+      message: `${recu.lignes.length} document(s) prêté(s) à ${recu.lecteur.email}`,
+      recu
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Retour au guichet : le lecteur est retrouvé à partir de l'emprunt de chaque exemplaire
+app.post("/api/admin/guichet/retours", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerCodesBarres(validerChamps(req.body, REGLES_GUICHET_RETOUR));
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Retour invalide', erreurs);
     }
     
-    // Mettre à jour document
-    await db.collection("documents").updateOne(
-      { _id: documentId },
-      { 
-        $set: { 
-          FIELD9: "disponible",
-          disponible: true,
-          emprunte_par: null,
-          date_emprunt: null
+    const recu = await avecTransaction(async sessionMongo => {
+      const lignes = [];
+      for (const code of valeurs.codes_barres) {
+        try {
+          const exemplaire = await db.collection("exemplaires").findOne({ code_barres: code }, { session: sessionMongo });
+          if (!exemplaire) {
+            throw erreurHttp(404, 'code-barres inconnu');
+          }
+          const enCours = await db.collection("emprunts").findOne(
+            { exemplaire_id: exemplaire._id, statut: 'emprunté' },
+            { session: sessionMongo }
+          );
+          if (!enCours) {
+            throw erreurHttp(400, "exemplaire non emprunté");
+          }
+          
+          const { emprunt, suivant, penalite } = await effectuerRetour(
+            { _id: enCours._id }, sessionMongo, { par: req.session.email, req }
+          );
+          lignes.push({
+            emprunt_id: emprunt._id,
+            code_barres: code,
+            titre: emprunt.document_titre,
+            lecteur_email: emprunt.utilisateur_email,
+            en_retard: emprunt.date_retour_reel > emprunt.date_retour_prevu,
+            penalite,
+            mis_de_cote_pour: suivant ? suivant.utilisateur_email : null
+          });
+        } catch (error) {
+          throw erreurCodeBarres(code, error);
         }
       }
-    );
+      
+      // Un seul lecteur concerné : il figure sur le reçu
+      const lecteurs = [...new Set(lignes.map(l => l.lecteur_email))];
+      return enregistrerRecu({
+        type: 'retour',
+        lecteur: lecteurs.length === 1 ? { email: lecteurs[0] } : null,
+        agent: req.session.email,
+        lignes
+      }, sessionMongo);
+    });
     
-    // Mettre à jour emprunt
-    await db.collection("emprunts").updateOne(
-      { _id: emprunt._id },
-      { 
-        $set: { 
-          date_retour_reel: new Date(),
-          statut: 'retourné'
-        }
-      }
-    );
+    const aMettreDeCote = recu.lignes.filter(l => l.mis_de_cote_pour).length;
+    res.json({
+      success: true,
+      message: `${recu.lignes.length} document(s) retourné(s)` + 
+        (aMettreDeCote ? `, ${aMettreDeCote} à mettre de côté pour une réservation` : ''),
+      recu
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Réimpression d'un reçu (JSON, ou texte brut avec ?format=texte)
+app.get("/api/admin/guichet/recus/:id", requirePermission('emprunts:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
     
-    // Mettre à jour compteur utilisateur
-    await db.collection("utilisateurs").updateOne(
-      { _id: userId },
-      { $inc: { emprunts_actuels: -1 } }
-    );
+    const recu = await db.collection("recus").findOne({ _id: new ObjectId(req.params.id) });
+    if (!recu) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Reçu non trouvé' 
+      });
+    }
     
+    if (req.query.format === 'texte') {
+      return res.type('text/plain; charset=utf-8').send(texteRecu(recu));
+    }
     res.json({
       success: true,
-      message: "Document retourné avec succès"
+      recu
     });
-    
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -501,34 +5342,194 @@ app.post("/api/documents/:id/retourner", requireAuth, async (req, res) => {
   }
 });
 
-// Statistiques
-app.get("/api/stats", async (req, res) => {
+// ==================== NOTIFICATIONS ====================
+
+// Rappel N jours avant la date de retour, puis relance tous les RELANCE_RETARD_JOURS en cas de retard
+const RAPPEL_JOURS_AVANT = parseInt(process.env.RAPPEL_JOURS_AVANT) || 3;
+const RELANCE_RETARD_JOURS = parseInt(process.env.RELANCE_RETARD_JOURS) || 7;
+const HEURE_RAPPELS = process.env.HEURE_RAPPELS || '08:00';
+const MAX_TENTATIVES_ENVOI = 5;
+
+// Crée une notification in-app, mise en file d'envoi (champ "envoi").
+// Avec une clé, la notification n'est créée qu'une fois : la tâche quotidienne peut repasser sans doublon.
+// Renvoie vrai si une notification a été créée.
+async function notifier(utilisateurId, { cle, type, titre, message, emprunt_id = null, document_id = null }) {
+  const notification = {
+    utilisateur_id: utilisateurId,
+    type,
+    titre,
+    message,
+    emprunt_id,
+    document_id,
+    lue: false,
+    date_creation: new Date(),
+    envoi: { statut: 'en attente', tentatives: 0 }
+  };
+  if (!cle) {
+    await db.collection("notifications").insertOne(notification);
+    return true;
+  }
+  const result = await db.collection("notifications").updateOne(
+    { utilisateur_id: utilisateurId, cle },
+    { $setOnInsert: { ...notification, cle } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+}
+
+// Envoie les notifications en attente (ou en échec) par le transport mail configuré
+async function envoyerNotificationsEnAttente() {
+  const rapport = { envoyees: 0, echecs: 0 };
+  const enAttente = await db.collection("notifications").aggregate([
+    { $match: { 'envoi.statut': { $in: ['en attente', 'échec'] }, 'envoi.tentatives': { $lt: MAX_TENTATIVES_ENVOI } } },
+    { $sort: { date_creation: 1 } },
+    { $limit: 500 },
+    {
+      $lookup: {
+        from: 'utilisateurs',
+        localField: 'utilisateur_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { nom: 1, email: 1 } }],
+        as: 'utilisateur'
+      }
+    }
+  ]).toArray();
+  
+  for (const notification of enAttente) {
+    const utilisateur = notification.utilisateur[0];
+    if (!utilisateur) {
+      await db.collection("notifications").updateOne(
+        { _id: notification._id },
+        { $set: { 'envoi.statut': 'annulée', 'envoi.erreur': 'utilisateur introuvable' } }
+      );
+      continue;
+    }
+    
+    try {
+      const envoi = await envoyerMail({
+        a: utilisateur.email,
+        sujet: notification.titre,
+        texte: `Bonjour ${utilisateur.nom},\n\n${notification.message}\n\n` +
+          `Vos emprunts : ${URL_APPLICATION}/\n`
+      });
+      await db.collection("notifications").updateOne(
+        { _id: notification._id },
+        {
+          $set: {
+            'envoi.statut': 'envoyée',
+            'envoi.transport': getTransportMail().nom,
+            'envoi.message_id': envoi.id,
+            'envoi.date': new Date(),
+            'envoi.erreur': null
+          },
+          $inc: { 'envoi.tentatives': 1 }
+        }
+      );
+      rapport.envoyees++;
+    } catch (error) {
+      await db.collection("notifications").updateOne(
+        { _id: notification._id },
+        { $set: { 'envoi.statut': 'échec', 'envoi.erreur': error.message }, $inc: { 'envoi.tentatives': 1 } }
+      );
+      rapport.echecs++;
+    }
+  }
+  return rapport;
+}
+
+// Tâche quotidienne : rappels avant échéance et avis de retard, puis envoi de la file
+async function rappelsEcheance() {
+  const maintenant = new Date();
+  const horizon = new Date(maintenant.getTime() + RAPPEL_JOURS_AVANT * MS_PAR_JOUR);
+  const rapport = { rappels: 0, retards: 0 };
+  
+  const emprunts = db.collection("emprunts").find(
+    { statut: 'emprunté', date_retour_prevu: { $lte: horizon } },
+    { projection: { utilisateur_id: 1, document_id: 1, document_titre: 1, date_retour_prevu: 1 } }
+  );
+  
+  for await (const emprunt of emprunts) {
+    const titre = emprunt.document_titre || 'Document';
+    const echeance = emprunt.date_retour_prevu.toLocaleDateString('fr-FR');
+    const liens = { emprunt_id: emprunt._id, document_id: emprunt.document_id };
+    // L'échéance fait partie de la clé : une prolongation ouvre un nouveau cycle de rappels
+    const cleEmprunt = `${emprunt._id}:${emprunt.date_retour_prevu.toISOString()}`;
+    
+    if (emprunt.date_retour_prevu >= maintenant) {
+      const cree = await notifier(emprunt.utilisateur_id, {
+        ...liens,
+        cle: `rappel:${cleEmprunt}`,
+        type: 'rappel',
+        titre: 'Retour à prévoir',
+        message: `« ${titre} » est à rendre au plus tard le ${echeance}.`
+      });
+      if (cree) rapport.rappels++;
+      continue;
+    }
+    
+    const joursRetard = Math.ceil((maintenant - emprunt.date_retour_prevu) / MS_PAR_JOUR);
+    const relance = Math.floor((joursRetard - 1) / RELANCE_RETARD_JOURS);
+    const cree = await notifier(emprunt.utilisateur_id, {
+      ...liens,
+      cle: `retard:${cleEmprunt}:${relance}`,
+      type: 'retard',
+      titre: relance === 0 ? 'Document en retard' : 'Relance : document en retard',
+      message: `« ${titre} » devait être rendu le ${echeance} (${joursRetard} jour(s) de retard). ` +
+        `Merci de le rapporter au plus vite.`
+    });
+    if (cree) rapport.retards++;
+  }
+  
+  return { ...rapport, ...(await envoyerNotificationsEnAttente()) };
+}
+
+planifierTache('rappels-echeance', { heure: HEURE_RAPPELS }, rappelsEcheance);
+
+// Mes notifications, des plus récentes aux plus anciennes (pagination par curseur)
+app.get("/api/notifications", requireAuth, async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const total = await db.collection("documents").countDocuments();
-    const disponibles = await db.collection("documents").countDocuments({ 
-      FIELD9: "disponible" 
-    });
-    const empruntes = await db.collection("documents").countDocuments({ 
-      FIELD9: "emprunté" 
+    const { erreurs, valeurs } = validerChamps(req.query, {
+      non_lues: { type: 'booleen' },
+      limite: { type: 'entier', min: 1, max: 50 },
+      curseur: { type: 'texte' }
     });
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Paramètres invalides', erreurs);
+    }
     
-    // Total réservations
-    const aggResult = await db.collection("documents").aggregate([
-      { $group: { _id: null, totalReservations: { $sum: "$reservations" } } }
-    ]).toArray();
+    const utilisateurId = new ObjectId(req.session.userId);
+    const limite = valeurs.limite || 20;
+    const filtre = { utilisateur_id: utilisateurId };
+    if (valeurs.non_lues) filtre.lue = false;
+    if (valeurs.curseur) {
+      const curseur = decoderCurseur(valeurs.curseur);
+      if (!curseur) {
+        return repondreInvalide(res, 'Curseur invalide', [{ champ: 'curseur', message: 'curseur invalide' }]);
+      }
+      filtre.$or = [
+        { date_creation: { $lt: curseur.v } },
+        { date_creation: curseur.v, _id: { $lt: curseur.id } }
+      ];
+    }
+    
+    const resultats = await db.collection("notifications")
+      .find(filtre, { projection: { envoi: 0, cle: 0 } })
+      .sort({ date_creation: -1, _id: -1 })
+      .limit(limite + 1)
+      .toArray();
+    const pageSuivante = resultats.length > limite;
+    const notifications = resultats.slice(0, limite);
+    
+    const nonLues = await db.collection("notifications").countDocuments({ utilisateur_id: utilisateurId, lue: false });
     
-    const totalReservations = aggResult[0] ? aggResult[0].totalReservations : 0;
-
     res.json({
       success: true,
-      stats: {
-        total,
-        disponibles,
-        empruntes,
-        totalReservations
-      }
+      count: notifications.length,
+      non_lues: nonLues,
+      notifications,
+      curseur_suivant: pageSuivante ? encoderCurseur(notifications[notifications.length - 1], 'date_creation') : null
     });
   } catch (error) {
     res.status(500).json({
@@ -538,38 +5539,32 @@ app.get("/api/stats", async (req, res) => {
   }
 });
 
-// ==================== ADMIN ====================
-
-// Dashboard admin
-app.get("/api/admin/dashboard", requireAdmin, async (req, res) => {
+// Marquer une notification comme lue / non lue
+app.patch("/api/notifications/:id", requireAuth, async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const totalDocuments = await db.collection("documents").countDocuments();
-    const documentsDisponibles = await db.collection("documents").countDocuments({ 
-      FIELD9: "disponible" 
-    });
-    const totalUtilisateurs = await db.collection("utilisateurs").countDocuments();
-    const empruntsEnCours = await db.collection("emprunts").countDocuments({ 
-      statut: 'emprunté' 
-    });
+    const { erreurs, valeurs } = validerChamps(req.body, {
+      lue: { type: 'booleen', requis: true }
+    }, { strict: true });
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Données invalides', erreurs);
+    }
     
-    // Emprunts en retard
-    const aujourdhui = new Date();
-    const empruntsRetard = await db.collection("emprunts").countDocuments({
-      statut: 'emprunté',
-      date_retour_prevu: { $lt: aujourdhui }
-    });
+    const result = await db.collection("notifications").updateOne(
+      { _id: new ObjectId(req.params.id), utilisateur_id: new ObjectId(req.session.userId) },
+      { $set: { lue: valeurs.lue } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification non trouvée'
+      });
+    }
     
     res.json({
       success: true,
-      dashboard: {
-        totalDocuments,
-        documentsDisponibles,
-        totalUtilisateurs,
-        empruntsEnCours,
-        empruntsRetard
-      }
+      message: valeurs.lue ? 'Notification lue' : 'Notification non lue'
     });
   } catch (error) {
     res.status(500).json({
@@ -579,18 +5574,19 @@ app.get("/api/admin/dashboard", requireAdmin, async (req, res) => {
   }
 });
 
-// Liste utilisateurs
-app.get("/api/admin/utilisateurs", requireAdmin, async (req, res) => {
+// Tout marquer comme lu
+app.post("/api/notifications/tout-lire", requireAuth, async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const utilisateurs = await db.collection("utilisateurs").find({}, {
-      projection: { password: 0 }
-    }).toArray();
+    const result = await db.collection("notifications").updateMany(
+      { utilisateur_id: new ObjectId(req.session.userId), lue: false },
+      { $set: { lue: true } }
+    );
     
     res.json({
       success: true,
-      utilisateurs: utilisateurs
+      message: `${result.modifiedCount} notification(s) marquée(s) comme lue(s)`
     });
   } catch (error) {
     res.status(500).json({
@@ -600,39 +5596,50 @@ app.get("/api/admin/utilisateurs", requireAdmin, async (req, res) => {
   }
 });
 
-// Ajouter document (admin)
-app.post("/api/admin/documents", requireAdmin, async (req, res) => {
+// État des tâches planifiées (admin)
+app.get("/api/admin/taches", requirePermission('parametres:manage'), async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const { titre, auteur, type_de_document, annee } = req.body;
+    res.json({
+      success: true,
+      taches: await etatTaches(db)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Lancer une tâche planifiée sans attendre son heure (admin)
+app.post("/api/admin/taches/:nom/executer", requirePermission('parametres:manage'), async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
     
-    if (!titre || !auteur) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Titre et auteur requis' 
+    if (!tacheExiste(req.params.nom)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tâche inconnue'
       });
     }
     
-    const document = {
-      titre,
-      auteur,
-      type_de_document: type_de_document || 'Livre',
-      annee: annee || new Date().getFullYear(),
-      disponible: true,
-      FIELD9: "disponible",
-      reservations: 0,
-      emprunte_par: null,
-      date_emprunt: null,
-      date_ajout: new Date()
-    };
+    const compteRendu = await executerTache(db, req.params.nom);
+    if (!compteRendu) {
+      return res.status(409).json({
+        success: false,
+        error: 'Tâche déjà en cours d\'exécution'
+      });
+    }
     
-    const result = await db.collection("documents").insertOne(document);
+    await journaliser(req, 'tache.execution', { type: 'tache', id: req.params.nom, libelle: req.params.nom }, {
+      details: { resultat: compteRendu.dernier_resultat, erreur: compteRendu.derniere_erreur }
+    });
     
     res.json({
-      success: true,
-      message: 'Document ajouté',
-      documentId: result.insertedId
+      success: !compteRendu.derniere_erreur,
+      ...compteRendu
     });
   } catch (error) {
     res.status(500).json({
@@ -656,9 +5663,144 @@ app.get("/api/utilisateur/emprunts", requireAuth, async (req, res) => {
       statut: 'emprunté'
     }).sort({ date_emprunt: -1 }).toArray();
     
+    const maintenant = new Date();
+    const politique = await politiqueCourante();
+    const user = await db.collection('utilisateurs').findOne({ _id: userId });
+    const categorie = categorieUtilisateur(user || {}, politique);
+    
+    res.json({
+      success: true,
+      emprunts: emprunts.map(emprunt => {
+        const regle = regleApplicable(politique, categorie, emprunt.type_de_document);
+        return {
+          ...emprunt,
+          en_retard: emprunt.date_retour_prevu < maintenant,
+          prolongations_restantes: Math.max(regle.max_prolongations - (emprunt.nb_prolongations || 0), 0)
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Historique de lecture : tous les emprunts de l'utilisateur, rendus ou non,
+// avec leur ponctualité ("à temps", "en retard" ou "en cours")
+const FORMATS_HISTORIQUE = ['csv', 'json'];
+const PONCTUALITES = ['à temps', 'en retard', 'en cours'];
+
+const REGLES_HISTORIQUE = {
+  q: { type: 'texte', longueur_max: 200 },
+  statut: { type: 'choix', valeurs: ['emprunté', 'retourné'] },
+  ponctualite: { type: 'choix', valeurs: PONCTUALITES },
+  depuis: { type: 'date' },
+  jusqu_au: { type: 'date', fin: true }
+};
+
+const COLONNES_HISTORIQUE = [
+  'document_titre', 'code_barres', 'type_de_document', 'date_emprunt', 'date_retour_prevu',
+  'date_retour_reel', 'statut', 'ponctualite', 'jours_retard', 'nb_prolongations'
+];
+
+// Filtre des emprunts de l'historique (servi par l'index utilisateur_id + date_emprunt)
+function filtreHistorique(userId, valeurs) {
+  const filtre = { utilisateur_id: userId };
+  if (valeurs.statut) filtre.statut = valeurs.statut;
+  if (valeurs.q) filtre.document_titre = { $regex: echapperRegex(valeurs.q), $options: 'i' };
+  if (valeurs.depuis || valeurs.jusqu_au) {
+    filtre.date_emprunt = {};
+    if (valeurs.depuis) filtre.date_emprunt.$gte = valeurs.depuis;
+    if (valeurs.jusqu_au) filtre.date_emprunt.$lt = valeurs.jusqu_au;
+  }
+  return filtre;
+}
+
+// Champs calculés (retard, ponctualité) et filtre de ponctualité, à placer
+// après le $match et le $sort pour que ceux-ci profitent de l'index
+function etapesPonctualite(valeurs) {
+  // Retard : jusqu'au retour, ou jusqu'à maintenant pour un emprunt en cours
+  const retardMs = { $subtract: [{ $ifNull: ["$date_retour_reel", "$$NOW"] }, "$date_retour_prevu"] };
+  const etapes = [
+    { 
+      $project: {
+        document_id: 1, document_titre: 1, code_barres: 1, type_de_document: 1,
+        date_emprunt: 1, date_retour_prevu: 1, date_retour_reel: 1, statut: 1,
+        nb_prolongations: { $ifNull: ["$nb_prolongations", 0] },
+        jours_retard: { $max: [0, { $ceil: { $divide: [retardMs, MS_PAR_JOUR] } }] }
+      }
+    },
+    {
+      $addFields: {
+        ponctualite: { 
+          $cond: [
+            { $gt: ["$jours_retard", 0] }, "en retard",
+            { $cond: [{ $eq: ["$statut", "retourné"] }, "à temps", "en cours"] }
+          ]
+        }
+      }
+    }
+  ];
+  if (valeurs.ponctualite) {
+    etapes.push({ $match: { ponctualite: valeurs.ponctualite } });
+  }
+  return etapes;
+}
+
+// Mon historique d'emprunts (pagination par curseur, du plus récent au plus ancien)
+app.get("/api/utilisateur/historique", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChamps(req.query, {
+      ...REGLES_HISTORIQUE,
+      limite: { type: 'entier', min: 1, max: 100 },
+      curseur: { type: 'texte' }
+    });
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Filtres invalides', erreurs);
+    }
+    
+    const limite = valeurs.limite || 20;
+    const filtrePage = {};
+    if (valeurs.curseur) {
+      const curseur = decoderCurseur(valeurs.curseur);
+      if (!curseur) {
+        return repondreInvalide(res, 'Curseur invalide', [{ champ: 'curseur', message: 'curseur invalide' }]);
+      }
+      filtrePage.$or = [
+        { date_emprunt: { $lt: curseur.v } },
+        { date_emprunt: curseur.v, _id: { $lt: curseur.id } }
+      ];
+    }
+    
+    const filtre = filtreHistorique(new ObjectId(req.session.userId), valeurs);
+    // Sans filtre de ponctualité, MongoDB fusionne le $limit avec le $sort
+    const page = await db.collection("emprunts").aggregate([
+      { $match: { ...filtre, ...filtrePage } },
+      { $sort: { date_emprunt: -1, _id: -1 } },
+      ...etapesPonctualite(valeurs),
+      { $limit: limite + 1 }
+    ]).toArray();
+    // Répartition par ponctualité sur tout le résultat (le total en est la somme)
+    const ponctualites = await db.collection("emprunts").aggregate([
+      { $match: filtre },
+      ...etapesPonctualite(valeurs),
+      { $group: { _id: "$ponctualite", count: { $sum: 1 } } }
+    ]).toArray();
+    
+    const pageSuivante = page.length > limite;
+    const emprunts = page.slice(0, limite);
+    
     res.json({
       success: true,
-      emprunts: emprunts
+      count: emprunts.length,
+      total: ponctualites.reduce((somme, p) => somme + p.count, 0),
+      emprunts,
+      curseur_suivant: pageSuivante ? encoderCurseur(emprunts[emprunts.length - 1], 'date_emprunt') : null,
+      ponctualites: Object.fromEntries(ponctualites.map(p => [p._id, p.count]))
     });
   } catch (error) {
     res.status(500).json({
@@ -668,13 +5810,159 @@ app.get("/api/utilisateur/emprunts", requireAuth, async (req, res) => {
   }
 });
 
+// Export de mon historique (CSV ou JSON), avec les mêmes filtres
+app.get("/api/utilisateur/historique/export", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const { erreurs, valeurs } = validerChamps(req.query, {
+      ...REGLES_HISTORIQUE,
+      format: { type: 'choix', valeurs: FORMATS_HISTORIQUE }
+    });
+    if (erreurs.length > 0) {
+      return repondreInvalide(res, 'Export invalide', erreurs);
+    }
+    
+    const curseur = db.collection("emprunts").aggregate([
+      { $match: filtreHistorique(new ObjectId(req.session.userId), valeurs) },
+      { $sort: { date_emprunt: -1, _id: -1 } },
+      ...etapesPonctualite(valeurs),
+      { $project: { _id: 0, document_id: 0 } }
+    ]);
+    
+    await exporterCurseur(res, curseur, valeurs.format || 'csv', 'historique-emprunts', COLONNES_HISTORIQUE);
+  } catch (error) {
+    erreurExport(res, error);
+  }
+});
+
+// Prolonger un de mes emprunts
+app.post("/api/utilisateur/emprunts/:id/prolonger", requireAuth, async (req, res) => {
+  try {
+    if (!db) db = await connectDB();
+    
+    const emprunt = await prolongerEmprunt({
+      _id: new ObjectId(req.params.id),
+      utilisateur_id: new ObjectId(req.session.userId)
+    }, req);
+    
+    res.json({
+      success: true,
+      message: `Emprunt prolongé jusqu'au ${emprunt.date_retour_prevu.toLocaleDateString('fr-FR')}`,
+      emprunt: emprunt
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== ÉVÉNEMENTS EN DIRECT ====================
+
+const MAX_CLIENTS_EVENEMENTS = parseInt(process.env.MAX_CLIENTS_EVENEMENTS) || 1000;
+// Commentaire périodique : garde la connexion ouverte derrière les proxys
+const BATTEMENT_EVENEMENTS_MS = 25 * 1000;
+let clientsEvenements = 0;
+
+// Changements observés : documents du catalogue et emprunts
+const PIPELINE_CIRCULATION = [
+  {
+    $match: {
+      'ns.coll': { $in: ['documents', 'emprunts'] },
+      operationType: { $in: ['insert', 'update', 'replace', 'delete'] }
+    }
+  }
+];
+
+// Champs d'un document qui modifient sa carte dans le catalogue
+const CHAMPS_CIRCULATION = ['FIELD9', 'exemplaires_total', 'exemplaires_disponibles', 'reservations', 'file_attente'];
+
+// Vue publique d'un document diffusée aux clients
+function documentDiffuse(document) {
+  const { _id, titre, auteur, type_de_document, annee, FIELD9, exemplaires_total, exemplaires_disponibles, reservations } = document;
+  return {
+    _id, titre, auteur, type_de_document, annee, FIELD9, exemplaires_total, exemplaires_disponibles, reservations,
+    taille_file_attente: (document.file_attente || []).length
+  };
+}
+
+// Traduit un changement MongoDB en événement de circulation, ou null s'il ne concerne pas le catalogue.
+// Aucune donnée de lecteur n'est diffusée.
+function evenementCirculation(changement) {
+  const document = changement.fullDocument;
+  const modifies = Object.keys((changement.updateDescription && changement.updateDescription.updatedFields) || {});
+  
+  if (changement.ns.coll === 'emprunts') {
+    if (changement.operationType === 'insert') {
+      return { type: 'emprunté', document_id: document.document_id };
+    }
+    if (document && document.statut === 'retourné' && modifies.includes('statut')) {
+      return { type: 'retourné', document_id: document.document_id };
+    }
+    return null;
+  }
+  
+  if (changement.operationType === 'delete') {
+    return { type: 'supprimé', document_id: changement.documentKey._id };
+  }
+  if (!document) return null;
+  
+  if (changement.operationType === 'insert') {
+    return document.archive ? null : { type: 'ajouté', document: documentDiffuse(document) };
+  }
+  if (modifies.includes('archive')) {
+    return document.archive
+      ? { type: 'archivé', document_id: document._id }
+      : { type: 'restauré', document: documentDiffuse(document) };
+  }
+  if (document.archive) return null;
+  
+  const circulation = changement.operationType === 'replace' ||
+    modifies.some(champ => CHAMPS_CIRCULATION.some(c => champ === c || champ.startsWith(c + '.')));
+  return circulation ? { type: 'disponibilité', document: documentDiffuse(document) } : null;
+}
+
+// Flux Server-Sent Events des événements de circulation (public, comme le catalogue)
+app.get("/api/evenements", (req, res) => {
+  if (clientsEvenements >= MAX_CLIENTS_EVENEMENTS) {
+    return res.status(503).json({
+      success: false,
+      error: 'Trop de connexions en direct, réessayez plus tard'
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  // Délai de reconnexion du navigateur après une coupure
+  res.write('retry: 5000\n\n');
+  clientsEvenements++;
+  
+  const desabonner = abonner(evenement => {
+    res.write(`event: circulation\ndata: ${JSON.stringify(evenement)}\n\n`);
+  });
+  const battement = setInterval(() => res.write(': battement\n\n'), BATTEMENT_EVENEMENTS_MS);
+  
+  req.on('close', () => {
+    clearInterval(battement);
+    desabonner();
+    clientsEvenements--;
+  });
+});
+
 // ==================== PAGES HTML ====================
 
 // Page documents HTML
 app.get("/documents-page", async (req, res) => {
   try {
     if (!db) db = await connectDB();
-    const documents = await db.collection("documents").find().toArray();
+    const documents = await db.collection("documents").find(NON_ARCHIVE).toArray();
     
     let html = `
       <!DOCTYPE html>
@@ -747,11 +6035,12 @@ app.get("/stats-page", async (req, res) => {
   try {
     if (!db) db = await connectDB();
     
-    const total = await db.collection("documents").countDocuments();
-    const disponibles = await db.collection("documents").countDocuments({ FIELD9: "disponible" });
-    const empruntes = await db.collection("documents").countDocuments({ FIELD9: "emprunté" });
+    const total = await db.collection("documents").countDocuments(NON_ARCHIVE);
+    const disponibles = await db.collection("documents").countDocuments({ ...NON_ARCHIVE, FIELD9: "disponible" });
+    const empruntes = await db.collection("documents").countDocuments({ ...NON_ARCHIVE, FIELD9: "emprunté" });
     
     const aggResult = await db.collection("documents").aggregate([
+      { $match: NON_ARCHIVE },
       { $group: { _id: null, totalReservations: { $sum: "$reservations" } } }
     ]).toArray();
     
@@ -921,7 +6210,7 @@ async function startServer() {
   console.log('='.repeat(60));
   
   try {
-    // Connexion à MongoDB
+    // Connexion à MongoDB (démarre aussi le planificateur et le flux de changements)
     await connectDB();
     
     // Démarrer le serveur
@@ -0,0 +1,277 @@
+import { ObjectId } from "mongodb";
+import { analyserIsbn } from "./isbn.js";
+
+// Couche de validation partagée des requêtes.
+//
+// Une règle décrit un champ : { type, requis, min, max, longueur_max, valeurs, fin }
+// Types : texte, entier, nombre, booleen, email, choix, objectId, date, isbn, liste
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Nombres reçus sous forme de texte (query string, formulaires)
+const ENTIER_REGEX = /^[-+]?\d+$/;
+const NOMBRE_REGEX = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+const MS_PAR_JOUR = 24 * 60 * 60 * 1000;
+
+// Vérifie une valeur selon sa règle ; renvoie { valeur } ou { message }
+function validerValeur(valeur, regle) {
+  const borne = b => (typeof b === "function" ? b() : b);
+
+  switch (regle.type) {
+    case "texte": {
+      if (typeof valeur !== "string" || valeur.trim() === "") {
+        return { message: "doit être un texte non vide" };
+      }
+      if (regle.longueur_max && valeur.trim().length > regle.longueur_max) {
+        return { message: `ne doit pas dépasser ${regle.longueur_max} caractères` };
+      }
+      return { valeur: valeur.trim() };
+    }
+    case "email": {
+      if (typeof valeur !== "string" || !EMAIL_REGEX.test(valeur.trim())) {
+        return { message: "doit être un email valide" };
+      }
+      // En minuscules : l'email identifie le compte à la connexion
+      return { valeur: valeur.trim().toLowerCase() };
+    }
+    case "entier":
+    case "nombre": {
+      // Nombre JSON ou texte numérique : un booléen ou un tableau n'est pas un nombre
+      const format = regle.type === "entier" ? ENTIER_REGEX : NOMBRE_REGEX;
+      const nombre = typeof valeur === "number" ? valeur
+        : typeof valeur === "string" && format.test(valeur.trim()) ? Number(valeur.trim())
+        : NaN;
+      const ok = regle.type === "entier" ? Number.isInteger(nombre) : Number.isFinite(nombre);
+      if (!ok) {
+        return { message: regle.type === "entier" ? "doit être un entier" : "doit être un nombre" };
+      }
+      if (regle.min !== undefined && nombre < borne(regle.min)) {
+        return { message: `doit être supérieur ou égal à ${borne(regle.min)}` };
+      }
+      if (regle.max !== undefined && nombre > borne(regle.max)) {
+        return { message: `doit être inférieur ou égal à ${borne(regle.max)}` };
+      }
+      return { valeur: nombre };
+    }
+    case "booleen": {
+      if (valeur === true || valeur === "true") return { valeur: true };
+      if (valeur === false || valeur === "false") return { valeur: false };
+      return { message: "doit être vrai ou faux" };
+    }
+    case "choix": {
+      if (!regle.valeurs.includes(valeur)) {
+        return { message: `doit valoir ${regle.valeurs.join(", ")}` };
+      }
+      return { valeur };
+    }
+    case "objectId": {
+      if (!estObjectId(valeur)) {
+        return { message: "doit être un identifiant valide" };
+      }
+      return { valeur: new ObjectId(valeur) };
+    }
+    case "date": {
+      const date = new Date(valeur);
+      if (valeur === null || valeur === "" || isNaN(date.getTime())) {
+        return { message: "doit être une date valide" };
+      }
+      // Borne de fin (règle fin: true), à comparer avec $lt : une date seule (AAAA-MM-JJ)
+      // couvre toute la journée, un instant précis reste inclus
+      if (regle.fin) {
+        const jourEntier = /^\d{4}-\d{2}-\d{2}$/.test(String(valeur).trim());
+        return { valeur: new Date(date.getTime() + (jourEntier ? MS_PAR_JOUR : 1)) };
+      }
+      return { valeur: date };
+    }
+    case "isbn": {
+      // ISBN-10 ou ISBN-13 : renvoie les deux formes { isbn_13, isbn_10 }
+      const isbn = analyserIsbn(valeur);
+      if (!isbn) {
+        return { message: "doit être un ISBN-10 ou ISBN-13 valide" };
+      }
+      return { valeur: isbn };
+    }
+    case "liste": {
+      // Liste de textes, ou texte séparé par des points-virgules
+      if (!Array.isArray(valeur) && typeof valeur !== "string") {
+        return { message: "doit être une liste de textes" };
+      }
+      const elements = Array.isArray(valeur) ? valeur : valeur.split(";");
+      if (elements.some(e => typeof e !== "string")) {
+        return { message: "doit être une liste de textes" };
+      }
+      return { valeur: [...new Set(elements.map(e => e.trim()).filter(Boolean))] };
+    }
+    default:
+      throw new Error(`Type de règle inconnu : ${regle.type}`);
+  }
+}
+
+// Valide un objet (corps ou query) selon un ensemble de règles.
+// options.partiel : seuls les champs fournis sont vérifiés (PATCH)
+// options.strict : les champs sans règle sont refusés
+// Renvoie { erreurs: [{ champ, message }], valeurs }
+export function validerChamps(donnees, regles, options = {}) {
+  const erreurs = [];
+  const valeurs = {};
+  const source = donnees || {};
+
+  if (options.strict) {
+    for (const champ of Object.keys(source)) {
+      if (!regles[champ]) {
+        erreurs.push({ champ, message: "champ non modifiable" });
+      }
+    }
+  }
+
+  for (const [champ, regle] of Object.entries(regles)) {
+    const valeur = source[champ];
+    const absent = valeur === undefined || (valeur === "" && !regle.requis);
+
+    if (absent) {
+      if (regle.requis && !options.partiel) {
+        erreurs.push({ champ, message: "requis" });
+      }
+      continue;
+    }
+
+    const resultat = validerValeur(valeur, regle);
+    if (resultat.message) {
+      erreurs.push({ champ, message: resultat.message });
+    } else {
+      valeurs[champ] = resultat.valeur;
+    }
+  }
+
+  return { erreurs, valeurs };
+}
+
+// Vrai si la chaîne est un ObjectId (24 caractères hexadécimaux)
+export function estObjectId(valeur) {
+  return typeof valeur === "string" && /^[0-9a-fA-F]{24}$/.test(valeur);
+}
+
+// Réponse 400 standard : message global + liste des champs invalides
+export function repondreInvalide(res, message, erreurs) {
+  return res.status(400).json({
+    success: false,
+    error: message,
+    details: erreurs
+  });
+}
+
+// Middleware pour les paramètres de route contenant un ObjectId
+// (à brancher avec app.param)
+export function verifierParamObjectId(req, res, next, valeur, nom) {
+  if (!estObjectId(valeur)) {
+    return repondreInvalide(res, "Identifiant invalide", [
+      { champ: nom, message: "doit être un identifiant valide" }
+    ]);
+  }
+  next();
+}
+
+// Validateurs $jsonSchema appliqués par MongoDB sur les collections principales.
+// Volontairement permissifs sur les champs annexes : ils garantissent la
+// cohérence des champs dont dépend la circulation des documents.
+const NOMBRE = ["int", "long", "double", "decimal"];
+
+export const SCHEMAS_COLLECTIONS = {
+  documents: {
+    bsonType: "object",
+    required: ["titre"],
+    properties: {
+      titre: { bsonType: "string", minLength: 1 },
+      auteur: { bsonType: ["string", "null"] },
+      type_de_document: { bsonType: ["string", "null"] },
+      annee: { bsonType: [...NOMBRE, "null"], minimum: 0, maximum: 3000 },
+      isbn_13: { bsonType: "string", pattern: "^97[89][0-9]{10}$" },
+      isbn_10: { bsonType: ["string", "null"], pattern: "^[0-9]{9}[0-9X]$" },
+      sujets: { bsonType: "array", items: { bsonType: "string" } },
+      FIELD9: { enum: ["disponible", "emprunté", "réservé", "indisponible"] },
+      exemplaires_total: { bsonType: NOMBRE, minimum: 0 },
+      exemplaires_disponibles: { bsonType: NOMBRE, minimum: 0 },
+      archive: { bsonType: "bool" },
+      file_attente: { bsonType: "array" }
+    }
+  },
+  exemplaires: {
+    bsonType: "object",
+    required: ["document_id", "code_barres", "statut"],
+    properties: {
+      document_id: { bsonType: "objectId" },
+      code_barres: { bsonType: "string", minLength: 1 },
+      cote: { bsonType: ["string", "null"] },
+      etat: { enum: ["neuf", "bon", "usé", "abîmé"] },
+      statut: { enum: ["disponible", "emprunté", "réservé", "retiré"] },
+      reserve_pour: { bsonType: ["objectId", "null"] }
+    }
+  },
+  utilisateurs: {
+    bsonType: "object",
+    required: ["email", "password", "role"],
+    properties: {
+      nom: { bsonType: "string" },
+      email: { bsonType: "string", pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$" },
+      password: { bsonType: "string", minLength: 1 },
+      role: { bsonType: "string", minLength: 1 },
+      limite_emprunts: { bsonType: NOMBRE, minimum: 0 },
+      emprunts_actuels: { bsonType: NOMBRE, minimum: 0 },
+      suspendu: { bsonType: "bool" }
+    }
+  },
+  emprunts: {
+    bsonType: "object",
+    required: ["utilisateur_id", "document_id", "date_emprunt", "statut"],
+    properties: {
+      utilisateur_id: { bsonType: "objectId" },
+      document_id: { bsonType: "objectId" },
+      exemplaire_id: { bsonType: "objectId" },
+      date_emprunt: { bsonType: "date" },
+      date_retour_prevu: { bsonType: "date" },
+      date_retour_reel: { bsonType: ["date", "null"] },
+      statut: { enum: ["emprunté", "retourné"] },
+      nb_prolongations: { bsonType: NOMBRE, minimum: 0 }
+    }
+  }
+};
+
+// Crée ou met à jour les validateurs des collections.
+// validationLevel "moderate" : les documents existants non conformes
+// restent modifiables, tout nouveau document doit respecter le schéma.
+export async function appliquerSchemas(db) {
+  const existantes = (await db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name);
+
+  for (const [nom, schema] of Object.entries(SCHEMAS_COLLECTIONS)) {
+    const options = {
+      validator: { $jsonSchema: schema },
+      validationLevel: "moderate",
+      validationAction: "error"
+    };
+    if (existantes.includes(nom)) {
+      await db.command({ collMod: nom, ...options });
+    } else {
+      await db.createCollection(nom, options);
+    }
+  }
+}
+
+// Vrai si MongoDB a refusé l'écriture à cause d'un validateur $jsonSchema
+export function estErreurSchema(error) {
+  return error && error.code === 121;
+}
+
+// Champs en cause dans un refus du validateur, au format { champ, message }
+export function detailsErreurSchema(error) {
+  const regles = (error.errInfo && error.errInfo.details && error.errInfo.details.schemaRulesNotSatisfied) || [];
+  const erreurs = [];
+
+  for (const regle of regles) {
+    for (const champ of regle.missingProperties || []) {
+      erreurs.push({ champ, message: "requis" });
+    }
+    for (const propriete of regle.propertiesNotSatisfied || []) {
+      erreurs.push({ champ: propriete.propertyName, message: "valeur refusée par le schéma" });
+    }
+  }
+  return erreurs.length > 0 ? erreurs : [{ champ: null, message: "document refusé par le schéma" }];
+}